@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+"use strict";
+
+// Relays MCP JSON-RPC between stdio and a running mcp-flow-server, so desktop
+// MCP hosts that launch servers as subprocesses can use Node-RED flow tools.
+//
+// Usage: mcp-stdio-bridge --url http://localhost:8001/mcp [--header "Name: value"]...
+
+const readline = require('readline');
+const { StreamableHttpClient } = require('../lib/streamable-http-client');
+
+function usage()
+{
+    process.stderr.write(
+        'Usage: mcp-stdio-bridge --url <flow server MCP endpoint> [--header "Name: value"]... [--timeout ms]\n' +
+        'The URL can also be given as MCP_BRIDGE_URL.\n'
+    );
+}
+
+function parseArgs(argv)
+{
+    const options = {
+        url: process.env.MCP_BRIDGE_URL || '',
+        headers: {},
+        timeout: 0
+    };
+
+    for (let i = 0; i < argv.length; i++)
+    {
+        const arg = argv[i];
+        switch (arg)
+        {
+            case '--url':
+                options.url = argv[++i];
+                break;
+            case '--header':
+            {
+                const header = argv[++i] || '';
+                const colon = header.indexOf(':');
+                if (colon > 0)
+                {
+                    options.headers[header.slice(0, colon).trim()] = header.slice(colon + 1).trim();
+                }
+                break;
+            }
+            case '--timeout':
+                options.timeout = parseInt(argv[++i], 10) || 0;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (!arg.startsWith('-') && !options.url)
+                {
+                    options.url = arg;
+                }
+        }
+    }
+
+    if (options.url)
+    {
+        let url;
+        try
+        {
+            url = new URL(options.url);
+        } catch (error)
+        {
+            options.error = `Invalid server URL: ${options.url}`;
+            return options;
+        }
+
+        // Accept a bare server address and point it at the MCP endpoint
+        if (!/\/mcp\/?$/.test(url.pathname))
+        {
+            options.url = options.url.replace(/\/$/, '') + '/mcp';
+        }
+    }
+
+    return options;
+}
+
+function log(message)
+{
+    process.stderr.write(`[mcp-stdio-bridge] ${message}\n`);
+}
+
+function writeMessage(message)
+{
+    process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function main()
+{
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.url || options.error)
+    {
+        usage();
+        if (options.error && !options.help)
+        {
+            log(options.error);
+        }
+        process.exit(options.help ? 0 : 1);
+    }
+
+    const client = new StreamableHttpClient(options.url, {
+        headers: options.headers,
+        timeout: options.timeout
+    });
+
+    // The initialize exchange is kept so the session can be re-established transparently
+    let initializeRequest = null;
+    let initialized = false;
+
+    // Messages wait for these so none is sent without the session they belong to
+    let initializing = null;
+    let reinitializing = null;
+
+    client.on('message', writeMessage);
+    client.on('error', error => log(error.message));
+    client.on('stream-closed', () => log('Server stream closed'));
+
+    // Start a new HTTP session after the server forgot ours (e.g. Node-RED redeploy)
+    async function reinitialize()
+    {
+        log('Session expired, re-initializing');
+        client.resetSession();
+
+        const replay = new StreamableHttpClient(options.url, {
+            headers: options.headers,
+            timeout: options.timeout
+        });
+        await replay.send(initializeRequest);
+        client.sessionId = replay.sessionId;
+        client.protocolVersion = replay.protocolVersion;
+
+        await client.send({ jsonrpc: "2.0", method: "notifications/initialized" });
+        await client.openStream();
+    }
+
+    // Requests failing together share one re-initialization
+    function recoverSession(expiredSessionId)
+    {
+        if (!reinitializing && client.sessionId === expiredSessionId)
+        {
+            reinitializing = reinitialize().finally(() =>
+            {
+                reinitializing = null;
+            });
+        }
+        return reinitializing || Promise.resolve();
+    }
+
+    async function sessionReady()
+    {
+        await Promise.all([initializing, reinitializing].map(pending => pending && pending.catch(() => { })));
+    }
+
+    async function relay(message)
+    {
+        if (message.method === 'initialize')
+        {
+            initializeRequest = message;
+            initializing = client.send(message);
+            await initializing;
+            return;
+        }
+
+        await sessionReady();
+        const sessionId = client.sessionId;
+        try
+        {
+            await client.send(message);
+        } catch (error)
+        {
+            if (error.status === 404 && initialized)
+            {
+                await recoverSession(sessionId);
+                await client.send(message);
+            } else
+            {
+                throw error;
+            }
+        }
+
+        // Once the handshake completes, listen for server-initiated notifications
+        if (message.method === 'notifications/initialized' && !initialized)
+        {
+            initialized = true;
+            if (client.sessionId)
+            {
+                client.openStream().catch(error => log(`Could not open server stream: ${error.message}`));
+            }
+        }
+    }
+
+    const input = readline.createInterface({ input: process.stdin, terminal: false });
+
+    input.on('line', (line) =>
+    {
+        if (!line.trim())
+        {
+            return;
+        }
+
+        let message;
+        try
+        {
+            message = JSON.parse(line);
+        } catch (error)
+        {
+            writeMessage({
+                jsonrpc: "2.0",
+                id: null,
+                error: { code: -32700, message: "Parse error", data: error.message }
+            });
+            return;
+        }
+
+        relay(message).catch(error =>
+        {
+            log(`Request failed: ${error.message}`);
+
+            // Requests must always be answered so the host does not wait forever
+            if (message && message.method && message.id !== undefined && message.id !== null)
+            {
+                const rpcError = error.body && error.body.error && typeof error.body.error === 'object'
+                    ? error.body.error
+                    : { code: -32603, message: error.message };
+                writeMessage({ jsonrpc: "2.0", id: message.id, error: rpcError });
+            }
+        });
+    });
+
+    input.on('close', () =>
+    {
+        client.close().then(() => process.exit(0));
+    });
+
+    process.on('SIGTERM', () => input.close());
+    process.on('SIGINT', () => input.close());
+}
+
+main();
@@ -0,0 +1,96 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+function ignoreMissing(error)
+{
+    if (error.code !== 'ENOENT')
+    {
+        throw error;
+    }
+}
+
+// JSON Lines file that is appended to in order and rotated to file.1 ... file.<maxFiles> once it would
+// grow past maxSize bytes. options: { maxSize (bytes, default 10 MB), maxFiles (rotated files kept, default 5) }
+function createAuditFile(file, options = {})
+{
+    const maxSize = options.maxSize || 10 * 1024 * 1024;
+    const maxFiles = options.maxFiles === undefined ? 5 : options.maxFiles;
+    let size = null;
+    let queue = Promise.resolve();
+
+    async function rotate()
+    {
+        for (let index = maxFiles - 1; index >= 1; index--)
+        {
+            await fs.promises.rename(`${file}.${index}`, `${file}.${index + 1}`).catch(ignoreMissing);
+        }
+        if (maxFiles > 0)
+        {
+            await fs.promises.rename(file, `${file}.1`).catch(ignoreMissing);
+        } else
+        {
+            await fs.promises.unlink(file).catch(ignoreMissing);
+        }
+        size = 0;
+    }
+
+    async function append(line)
+    {
+        if (size === null)
+        {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            size = await fs.promises.stat(file).then(stats => stats.size, () => 0);
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (size > 0 && size + bytes > maxSize)
+        {
+            await rotate();
+        }
+        await fs.promises.appendFile(file, line);
+        size += bytes;
+    }
+
+    return {
+        // Queue one entry; the returned promise settles once it is on disk
+        write(entry)
+        {
+            const written = queue.then(() => append(JSON.stringify(entry) + '\n'));
+            // Re-read the size after a failure, the file may have been moved or truncated
+            queue = written.catch(() =>
+            {
+                size = null;
+            });
+            return written;
+        },
+
+        // Resolves when every queued entry has been written
+        flush()
+        {
+            return queue;
+        }
+    };
+}
+
+// Deep copy of value with the properties named in fields (lower case) replaced by "[REDACTED]", at any depth
+function redactFields(value, fields)
+{
+    if (Array.isArray(value))
+    {
+        return value.map(item => redactFields(item, fields));
+    }
+    if (!value || typeof value !== 'object')
+    {
+        return value;
+    }
+    const copy = {};
+    Object.keys(value).forEach(key =>
+    {
+        copy[key] = fields.has(key.toLowerCase()) ? "[REDACTED]" : redactFields(value[key], fields);
+    });
+    return copy;
+}
+
+module.exports = { createAuditFile, redactFields };
@@ -0,0 +1,80 @@
+"use strict";
+
+// Parse "Name: value" lines into a header object; blank lines and # comments are skipped
+function parseHeaders(text)
+{
+    const headers = {};
+    (text || "").split(/\r?\n/).forEach(line =>
+    {
+        const trimmed = line.trim();
+        const separator = trimmed.indexOf(':');
+        if (trimmed && !trimmed.startsWith('#') && separator > 0)
+        {
+            headers[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+        }
+    });
+    return headers;
+}
+
+// Headers for a client's authentication settings.
+// auth: { authType (none, bearer, apikey or basic), apiKeyHeader }; credentials: { authToken, username, password, headers }
+// Custom headers come first so the configured authentication wins over a custom header of the same name.
+function buildAuthHeaders(auth, credentials = {})
+{
+    const headers = parseHeaders(credentials.headers);
+    switch (auth.authType)
+    {
+        case "bearer":
+            if (credentials.authToken)
+            {
+                headers['Authorization'] = `Bearer ${credentials.authToken}`;
+            }
+            break;
+        case "apikey":
+            if (credentials.authToken)
+            {
+                headers[auth.apiKeyHeader || 'X-API-Key'] = credentials.authToken;
+            }
+            break;
+        case "basic":
+            headers['Authorization'] = `Basic ${Buffer.from(`${credentials.username || ""}:${credentials.password || ""}`).toString('base64')}`;
+            break;
+    }
+    return headers;
+}
+
+// Connection-level and body headers are set by the transport. msg.headers often holds the response headers of an
+// upstream http request node, so these are never copied from a message.
+const TRANSPORT_HEADERS = new Set([
+    'connection', 'content-encoding', 'content-length', 'content-type', 'host', 'keep-alive',
+    'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade'
+]);
+
+function requestHeaders(headers)
+{
+    const filtered = {};
+    Object.keys(headers).forEach(name =>
+    {
+        if (!TRANSPORT_HEADERS.has(name.toLowerCase()))
+        {
+            filtered[name] = headers[name];
+        }
+    });
+    return filtered;
+}
+
+// Headers for one message: the configured ones, with msg.authToken replacing the stored token and msg.headers
+// added last, without transport headers. Returns undefined when the message overrides nothing.
+function messageHeaders(auth, credentials, msg)
+{
+    const headers = msg && msg.headers && typeof msg.headers === 'object' ? requestHeaders(msg.headers) : null;
+    const authToken = msg && typeof msg.authToken === 'string' ? msg.authToken : null;
+    if (!headers && !authToken)
+    {
+        return undefined;
+    }
+    const merged = Object.assign({}, credentials, authToken ? { authToken: authToken } : {});
+    return Object.assign(buildAuthHeaders(auth, merged), headers);
+}
+
+module.exports = { parseHeaders, buildAuthHeaders, messageHeaders };
@@ -0,0 +1,32 @@
+"use strict";
+
+// Split a command line into arguments; single or double quotes keep spaces inside one argument
+function parseCommandArgs(text)
+{
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text || "")) !== null)
+    {
+        args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+    }
+    return args;
+}
+
+// Parse "NAME=value" lines into an environment object; blank lines and # comments are skipped
+function parseEnvironment(text)
+{
+    const env = {};
+    (text || "").split(/\r?\n/).forEach(line =>
+    {
+        const trimmed = line.trim();
+        const separator = trimmed.indexOf('=');
+        if (trimmed && !trimmed.startsWith('#') && separator > 0)
+        {
+            env[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1);
+        }
+    });
+    return env;
+}
+
+module.exports = { parseCommandArgs, parseEnvironment };
@@ -0,0 +1,206 @@
+"use strict";
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// JWS algorithms accepted for access tokens, mapped to their digest and signature encoding
+const ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { hash: null }
+};
+
+// Keys are reloaded after this long, or sooner when a token names an unknown kid
+const JWKS_CACHE_TIME = 10 * 60 * 1000;
+const JWKS_MIN_REFRESH_INTERVAL = 30 * 1000;
+
+function base64UrlEncode(value)
+{
+    return Buffer.from(value).toString('base64url');
+}
+
+function decodeSegment(segment, name)
+{
+    try
+    {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error)
+    {
+        throw new Error(`Malformed token ${name}`);
+    }
+}
+
+function signatureOptions(key, alg)
+{
+    const options = { key: key };
+    if (alg.padding !== undefined)
+    {
+        options.padding = alg.padding;
+        options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+    }
+    if (alg.dsaEncoding)
+    {
+        options.dsaEncoding = alg.dsaEncoding;
+    }
+    return options;
+}
+
+// Key store backed by a JWKS document in a local file or at an http(s) URL
+function createJwksKeyStore(source)
+{
+    let keys = [];
+    let loadedAt = 0;
+    let loading = null;
+
+    function load()
+    {
+        if (!loading)
+        {
+            loading = (/^https?:\/\//i.test(source)
+                ? axios.get(source, { timeout: 10000 }).then(response => response.data)
+                : fs.promises.readFile(source, 'utf8').then(text => JSON.parse(text)))
+                .then(jwks =>
+                {
+                    if (!jwks || !Array.isArray(jwks.keys))
+                    {
+                        throw new Error('JWKS document has no "keys" array');
+                    }
+                    keys = jwks.keys;
+                    loadedAt = Date.now();
+                })
+                .finally(() =>
+                {
+                    loading = null;
+                });
+        }
+        return loading;
+    }
+
+    function findKey(header)
+    {
+        return keys.find(jwk =>
+            (header.kid === undefined || jwk.kid === header.kid) &&
+            (!jwk.alg || jwk.alg === header.alg) &&
+            (!jwk.use || jwk.use === 'sig'));
+    }
+
+    return {
+        // Resolve the public key for a token header, reloading the JWKS when it is stale or lacks the kid
+        async getKey(header)
+        {
+            const age = Date.now() - loadedAt;
+            if (age > JWKS_CACHE_TIME)
+            {
+                await load();
+            }
+
+            let jwk = findKey(header);
+            if (!jwk && Date.now() - loadedAt > JWKS_MIN_REFRESH_INTERVAL)
+            {
+                await load();
+                jwk = findKey(header);
+            }
+            if (!jwk)
+            {
+                throw new Error(`No signing key found for kid "${header.kid}"`);
+            }
+            return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        }
+    };
+}
+
+// Verify a compact JWS access token and its registered claims.
+// options: { keyStore, issuer, audience, clockTolerance (seconds) }; resolves with the claims.
+async function verifyJwt(token, options)
+{
+    const segments = String(token).split('.');
+    if (segments.length !== 3)
+    {
+        throw new Error('Token is not a JWT');
+    }
+
+    const header = decodeSegment(segments[0], 'header');
+    const claims = decodeSegment(segments[1], 'payload');
+    const alg = ALGORITHMS[header.alg];
+    if (!alg)
+    {
+        throw new Error(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const key = await options.keyStore.getKey(header);
+    const valid = crypto.verify(
+        alg.hash,
+        Buffer.from(`${segments[0]}.${segments[1]}`),
+        signatureOptions(key, alg),
+        Buffer.from(segments[2], 'base64url'));
+    if (!valid)
+    {
+        throw new Error('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = options.clockTolerance || 0;
+    if (typeof claims.exp !== 'number' || claims.exp + tolerance <= now)
+    {
+        throw new Error('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - tolerance > now)
+    {
+        throw new Error('Token not yet valid');
+    }
+    if (options.issuer && claims.iss !== options.issuer)
+    {
+        throw new Error(`Unexpected token issuer: ${claims.iss}`);
+    }
+    if (options.audience)
+    {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(options.audience))
+        {
+            throw new Error('Token audience does not match this server');
+        }
+    }
+
+    return claims;
+}
+
+// Sign claims into a compact JWS; used to issue tokens for local testing against a local JWKS
+function signJwt(claims, privateKey, options = {})
+{
+    const algName = options.alg || 'RS256';
+    const alg = ALGORITHMS[algName];
+    if (!alg)
+    {
+        throw new Error(`Unsupported token algorithm: ${algName}`);
+    }
+
+    const header = { alg: algName, typ: 'JWT' };
+    if (options.kid)
+    {
+        header.kid = options.kid;
+    }
+
+    const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(claims))}`;
+    const signature = crypto.sign(alg.hash, Buffer.from(signingInput), signatureOptions(privateKey, alg));
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// Scopes granted by a token: the space-separated "scope" claim, or a "scp" array
+function tokenScopes(claims)
+{
+    if (typeof claims.scope === 'string')
+    {
+        return claims.scope.split(' ').filter(scope => scope);
+    }
+    return Array.isArray(claims.scp) ? claims.scp : [];
+}
+
+module.exports = { createJwksKeyStore, verifyJwt, signJwt, tokenScopes };
@@ -0,0 +1,182 @@
+"use strict";
+
+// Content type of the Prometheus text exposition format
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, from a few milliseconds up to the default execution timeout
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value)
+{
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels)
+{
+    const names = Object.keys(labels);
+    return names.length > 0
+        ? `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`
+        : '';
+}
+
+function formatValue(value)
+{
+    if (Number.isFinite(value))
+    {
+        return String(value);
+    }
+    return Number.isNaN(value) ? 'NaN' : value > 0 ? '+Inf' : '-Inf';
+}
+
+// Series are keyed by their labels in name order, so { a, b } and { b, a } are the same series
+function seriesKey(labels)
+{
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+// Counters, gauges and histograms of one component. Gauges may be given a collect function that returns
+// the current value, or a list of { labels, value }, when the registry is rendered.
+function createMetricsRegistry()
+{
+    const families = new Map();
+
+    function register(name, type, help, samples)
+    {
+        if (families.has(name))
+        {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+        families.set(name, { name: name, type: type, help: help, samples: samples });
+    }
+
+    function seriesFor(series, labels, create)
+    {
+        const key = seriesKey(labels);
+        if (!series.has(key))
+        {
+            series.set(key, create());
+        }
+        return series.get(key);
+    }
+
+    return {
+        counter(name, help)
+        {
+            const series = new Map();
+            register(name, 'counter', help, () => Array.from(series.values())
+                .map(entry => ({ name: name, labels: entry.labels, value: entry.value })));
+            return {
+                inc(labels = {}, amount = 1)
+                {
+                    seriesFor(series, labels, () => ({ labels: Object.assign({}, labels), value: 0 })).value += amount;
+                }
+            };
+        },
+
+        gauge(name, help, collect)
+        {
+            const series = new Map();
+            register(name, 'gauge', help, () =>
+            {
+                if (!collect)
+                {
+                    return Array.from(series.values()).map(entry => ({ name: name, labels: entry.labels, value: entry.value }));
+                }
+                const collected = collect();
+                return (Array.isArray(collected) ? collected : [{ labels: {}, value: collected }])
+                    .map(entry => ({ name: name, labels: entry.labels || {}, value: entry.value }));
+            });
+            return {
+                set(labels, value)
+                {
+                    seriesFor(series, labels, () => ({ labels: Object.assign({}, labels), value: 0 })).value = value;
+                }
+            };
+        },
+
+        histogram(name, help, buckets = DEFAULT_BUCKETS)
+        {
+            const series = new Map();
+            register(name, 'histogram', help, () =>
+            {
+                const samples = [];
+                series.forEach(entry =>
+                {
+                    buckets.forEach((bound, index) =>
+                    {
+                        samples.push({ name: `${name}_bucket`, labels: Object.assign({}, entry.labels, { le: String(bound) }), value: entry.counts[index] });
+                    });
+                    samples.push({ name: `${name}_bucket`, labels: Object.assign({}, entry.labels, { le: '+Inf' }), value: entry.count });
+                    samples.push({ name: `${name}_sum`, labels: entry.labels, value: entry.sum });
+                    samples.push({ name: `${name}_count`, labels: entry.labels, value: entry.count });
+                });
+                return samples;
+            });
+            return {
+                observe(labels, value)
+                {
+                    const entry = seriesFor(series, labels, () => ({
+                        labels: Object.assign({}, labels),
+                        counts: buckets.map(() => 0),
+                        sum: 0,
+                        count: 0
+                    }));
+                    // Bucket counts are cumulative: a value is counted in every bucket it fits
+                    buckets.forEach((bound, index) =>
+                    {
+                        if (value <= bound)
+                        {
+                            entry.counts[index]++;
+                        }
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                }
+            };
+        },
+
+        families()
+        {
+            return Array.from(families.values());
+        },
+
+        render()
+        {
+            return renderMetrics([{ registry: this, labels: {} }]);
+        }
+    };
+}
+
+// Render several registries as one exposition, each sample prefixed with the labels of its source.
+// Families with the same name are merged so every metric has a single HELP and TYPE line.
+function renderMetrics(sources)
+{
+    const merged = new Map();
+    sources.forEach(source =>
+    {
+        source.registry.families().forEach(family =>
+        {
+            if (!merged.has(family.name))
+            {
+                merged.set(family.name, { family: family, lines: [] });
+            }
+            const lines = merged.get(family.name).lines;
+            family.samples().forEach(sample =>
+            {
+                const labels = Object.assign({}, source.labels, sample.labels);
+                lines.push(`${sample.name}${formatLabels(labels)} ${formatValue(sample.value)}`);
+            });
+        });
+    });
+
+    const output = [];
+    merged.forEach(({ family, lines }) =>
+    {
+        output.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        output.push(`# TYPE ${family.name} ${family.type}`);
+        lines.forEach(line => output.push(line));
+    });
+    return output.join('\n') + '\n';
+}
+
+module.exports = { createMetricsRegistry, renderMetrics, METRICS_CONTENT_TYPE, DEFAULT_BUCKETS };
@@ -0,0 +1,8 @@
+"use strict";
+
+// MCP protocol revisions: 2025-03-26 introduced Streamable HTTP,
+// 2024-11-05 is the revision of the legacy HTTP+SSE transport
+const PROTOCOL_VERSION = "2025-03-26";
+const LEGACY_PROTOCOL_VERSION = "2024-11-05";
+
+module.exports = { PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION };
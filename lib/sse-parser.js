@@ -0,0 +1,90 @@
+"use strict";
+
+// Incremental parser for text/event-stream bodies.
+// Feed it raw chunks; it calls onEvent({ id, event, data, retry }) for every complete event.
+function createSseParser(onEvent)
+{
+    let buffer = '';
+    let dataLines = [];
+    let eventName = '';
+    let eventId;
+    let retry;
+
+    function dispatch()
+    {
+        if (dataLines.length > 0)
+        {
+            onEvent({
+                id: eventId,
+                event: eventName || 'message',
+                data: dataLines.join('\n'),
+                retry: retry
+            });
+        }
+        dataLines = [];
+        eventName = '';
+        eventId = undefined;
+        retry = undefined;
+    }
+
+    function processLine(line)
+    {
+        if (line === '')
+        {
+            dispatch();
+            return;
+        }
+
+        // Lines starting with a colon are comments (keep-alives)
+        if (line.startsWith(':'))
+        {
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' '))
+        {
+            value = value.slice(1);
+        }
+
+        switch (field)
+        {
+            case 'data':
+                dataLines.push(value);
+                break;
+            case 'event':
+                eventName = value;
+                break;
+            case 'id':
+                eventId = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value))
+                {
+                    retry = parseInt(value, 10);
+                }
+                break;
+        }
+    }
+
+    return function push(chunk)
+    {
+        buffer += chunk.toString();
+
+        let match;
+        while ((match = /\r\n|\n|\r/.exec(buffer)) !== null)
+        {
+            // A trailing \r may be the first half of \r\n; wait for more data
+            if (match[0] === '\r' && match.index === buffer.length - 1)
+            {
+                break;
+            }
+            processLine(buffer.slice(0, match.index));
+            buffer = buffer.slice(match.index + match[0].length);
+        }
+    };
+}
+
+module.exports = { createSseParser };
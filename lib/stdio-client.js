@@ -0,0 +1,139 @@
+"use strict";
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+// Client side of the MCP stdio transport: a local server process exchanging
+// newline-delimited JSON-RPC over its stdin and stdout.
+// Events: 'message' for each JSON-RPC message, 'output' for stdout lines that are not JSON,
+// 'stderr' for diagnostics, 'error' after start-up and 'exit' with the exit code and signal.
+class StdioClient extends EventEmitter
+{
+    constructor(command, args = [], options = {})
+    {
+        super();
+        this.command = command;
+        this.args = args;
+        this.cwd = options.cwd || undefined;
+        this.env = options.env || {};
+        this.killDelay = options.killDelay || 2000;
+
+        this.process = null;
+        this.buffered = "";
+    }
+
+    get pid()
+    {
+        return this.process ? this.process.pid : undefined;
+    }
+
+    // Spawn the server; resolves once the process is running
+    start()
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const child = spawn(this.command, this.args, {
+                cwd: this.cwd,
+                env: Object.assign({}, process.env, this.env),
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+            let spawned = false;
+            this.process = child;
+
+            child.on('spawn', () =>
+            {
+                spawned = true;
+                resolve();
+            });
+            child.on('error', error =>
+            {
+                if (spawned)
+                {
+                    this.emit('error', error);
+                } else
+                {
+                    reject(error);
+                }
+            });
+
+            child.stdout.setEncoding('utf8');
+            child.stdout.on('data', chunk => this.receive(chunk));
+
+            child.stderr.setEncoding('utf8');
+            child.stderr.on('data', chunk => this.emit('stderr', chunk.replace(/\r?\n$/, "")));
+
+            child.stdin.on('error', error =>
+            {
+                this.emit('error', new Error(`Failed to write to MCP server: ${error.message}`));
+            });
+
+            child.on('exit', (code, signal) => this.emit('exit', code, signal));
+        });
+    }
+
+    // Each message is one line; a chunk may hold several messages or end mid-message
+    receive(chunk)
+    {
+        this.buffered += chunk;
+        let newline;
+        while ((newline = this.buffered.indexOf('\n')) >= 0)
+        {
+            const line = this.buffered.slice(0, newline).trim();
+            this.buffered = this.buffered.slice(newline + 1);
+            if (!line)
+            {
+                continue;
+            }
+
+            let message;
+            try
+            {
+                message = JSON.parse(line);
+            } catch (error)
+            {
+                // Servers sometimes log to stdout
+                this.emit('output', line);
+                continue;
+            }
+            this.emit('message', message);
+        }
+    }
+
+    // Send one JSON-RPC message; dropped when the process is gone
+    send(message)
+    {
+        if (this.process && this.process.stdin.writable)
+        {
+            this.process.stdin.write(JSON.stringify(message) + "\n");
+        }
+        return Promise.resolve();
+    }
+
+    // Closing stdin asks the server to exit; stop it if it does not
+    close()
+    {
+        const child = this.process;
+        if (child && child.exitCode === null && child.signalCode === null)
+        {
+            child.stdin.end();
+            const killTimer = setTimeout(() => child.kill('SIGTERM'), this.killDelay);
+            child.once('exit', () => clearTimeout(killTimer));
+        }
+        return Promise.resolve();
+    }
+}
+
+// Answer to a request the server sent to the client: pings are answered, anything else is refused.
+// Returns null for responses and notifications.
+function answerServerRequest(message)
+{
+    if (!message || message.id === undefined || message.id === null || typeof message.method !== 'string')
+    {
+        return null;
+    }
+    return message.method === 'ping'
+        ? { jsonrpc: "2.0", id: message.id, result: {} }
+        : { jsonrpc: "2.0", id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+}
+
+module.exports = { StdioClient, answerServerRequest };
@@ -0,0 +1,324 @@
+"use strict";
+
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+const { createSseParser } = require('./sse-parser');
+
+// Client side of the MCP Streamable HTTP transport.
+// Every JSON-RPC message received from the server (POST responses, POST streams
+// and the standalone GET stream) is emitted as a 'message' event.
+class StreamableHttpClient extends EventEmitter
+{
+    constructor(url, options = {})
+    {
+        super();
+        this.url = new URL(url);
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 0;
+        this.reconnectDelay = options.reconnectDelay || 1000;
+
+        this.sessionId = null;
+        this.protocolVersion = null;
+        this.lastEventId = null;
+        this.stream = null;
+        this.streamWanted = false;
+        this.closed = false;
+        this.pendingInitializeId = undefined;
+    }
+
+    // Issue an HTTP request against the MCP endpoint and resolve with the response stream
+    request(method, body, extraHeaders = {})
+    {
+        const headers = Object.assign({}, this.headers, extraHeaders);
+        if (this.sessionId)
+        {
+            headers['Mcp-Session-Id'] = this.sessionId;
+        }
+        if (this.protocolVersion)
+        {
+            headers['Mcp-Protocol-Version'] = this.protocolVersion;
+        }
+
+        let payload;
+        if (body !== undefined)
+        {
+            payload = JSON.stringify(body);
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(payload);
+        }
+
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) =>
+        {
+            const req = transport.request(this.url, { method: method, headers: headers }, resolve);
+            req.on('error', reject);
+            if (this.timeout && method !== 'GET')
+            {
+                req.setTimeout(this.timeout, () =>
+                {
+                    req.destroy(new Error('Request timeout'));
+                });
+            }
+            req.end(payload);
+        });
+    }
+
+    // Send one JSON-RPC message (or batch) to the server
+    async send(message)
+    {
+        if (message && message.method === 'initialize')
+        {
+            this.pendingInitializeId = message.id;
+        }
+
+        const res = await this.request('POST', message, {
+            'Accept': 'application/json, text/event-stream'
+        });
+
+        if (res.headers['mcp-session-id'])
+        {
+            this.sessionId = res.headers['mcp-session-id'];
+        }
+
+        if (res.statusCode >= 400)
+        {
+            throw await httpError(res);
+        }
+
+        const contentType = res.headers['content-type'] || '';
+        if (contentType.includes('text/event-stream'))
+        {
+            await this.consumeStream(res);
+            return;
+        }
+
+        const body = await readBody(res);
+        if (body.trim())
+        {
+            [].concat(JSON.parse(body)).forEach(item => this.dispatch(item));
+        }
+    }
+
+    // Open the standalone server-to-client stream; resolves false if the server does not offer one
+    async openStream()
+    {
+        this.streamWanted = true;
+
+        const headers = { 'Accept': 'text/event-stream' };
+        if (this.lastEventId !== null)
+        {
+            headers['Last-Event-ID'] = this.lastEventId;
+        }
+
+        const res = await this.request('GET', undefined, headers);
+        if (res.statusCode === 405)
+        {
+            res.resume();
+            this.streamWanted = false;
+            return false;
+        }
+        if (res.statusCode >= 400)
+        {
+            throw await httpError(res);
+        }
+
+        this.stream = res;
+        this.emit('stream-open');
+
+        this.consumeStream(res)
+            .catch(error => this.emit('error', error))
+            .then(() =>
+            {
+                if (this.stream === res)
+                {
+                    this.stream = null;
+                }
+                this.emit('stream-closed');
+                this.scheduleStreamReconnect();
+            });
+
+        return true;
+    }
+
+    // Re-open a dropped GET stream, resuming from the last event seen
+    scheduleStreamReconnect()
+    {
+        if (this.closed || !this.streamWanted || !this.sessionId)
+        {
+            return;
+        }
+
+        setTimeout(() =>
+        {
+            if (this.closed || this.stream)
+            {
+                return;
+            }
+            this.openStream().catch(error =>
+            {
+                this.emit('error', error);
+                if (error.status !== 404)
+                {
+                    this.scheduleStreamReconnect();
+                }
+            });
+        }, this.reconnectDelay);
+    }
+
+    // Read an SSE response body, dispatching each message event
+    consumeStream(res)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const push = createSseParser(event =>
+            {
+                if (event.id !== undefined && res === this.stream)
+                {
+                    this.lastEventId = event.id;
+                }
+                if (event.event !== 'message')
+                {
+                    return;
+                }
+                try
+                {
+                    [].concat(JSON.parse(event.data)).forEach(item => this.dispatch(item));
+                } catch (error)
+                {
+                    this.emit('error', new Error(`Invalid JSON in event stream: ${error.message}`));
+                }
+            });
+
+            res.setEncoding('utf8');
+            res.on('data', push);
+            res.on('end', resolve);
+            res.on('close', resolve);
+            res.on('error', reject);
+        });
+    }
+
+    dispatch(message)
+    {
+        if (this.pendingInitializeId !== undefined && message.id === this.pendingInitializeId && message.result)
+        {
+            this.protocolVersion = message.result.protocolVersion || null;
+            this.pendingInitializeId = undefined;
+        }
+        this.emit('message', message);
+    }
+
+    // Forget the current session so the next initialize starts a new one
+    resetSession()
+    {
+        if (this.stream)
+        {
+            this.stream.destroy();
+            this.stream = null;
+        }
+        this.sessionId = null;
+        this.protocolVersion = null;
+        this.lastEventId = null;
+    }
+
+    // Stop streaming and terminate the session on the server
+    async close()
+    {
+        this.closed = true;
+        this.streamWanted = false;
+
+        if (this.stream)
+        {
+            this.stream.destroy();
+            this.stream = null;
+        }
+
+        if (this.sessionId)
+        {
+            try
+            {
+                const res = await this.request('DELETE');
+                res.resume();
+            } catch (error)
+            {
+                // The server may already be gone
+            }
+            this.sessionId = null;
+        }
+    }
+}
+
+function readBody(res)
+{
+    return new Promise((resolve, reject) =>
+    {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve(body));
+        res.on('error', reject);
+    });
+}
+
+// Build an Error for a failed HTTP response, keeping any JSON-RPC error body
+async function httpError(res)
+{
+    const body = await readBody(res);
+    const error = new Error(`Server responded with ${res.statusCode}`);
+    error.status = res.statusCode;
+    error.headers = res.headers;
+    try
+    {
+        error.body = JSON.parse(body);
+        if (error.body && error.body.error)
+        {
+            error.message += `: ${error.body.error.message || error.body.error}`;
+        }
+    } catch (parseError)
+    {
+        error.body = body;
+    }
+    return error;
+}
+
+// Send one request outside any session and resolve with its response.
+// Notifications the server streams before the response are passed to options.onNotification.
+async function sendRequest(url, request, options = {})
+{
+    const client = new StreamableHttpClient(url, options);
+    let response = null;
+    let streamError = null;
+
+    client.on('error', error => streamError = error);
+    client.on('message', message =>
+    {
+        if (message.method === undefined && message.id === request.id)
+        {
+            response = message;
+        } else if (options.onNotification)
+        {
+            options.onNotification(message);
+        }
+    });
+
+    await client.send(request);
+    if (!response)
+    {
+        throw streamError || new Error('Server returned no response');
+    }
+    return response;
+}
+
+// MCP endpoint of a Streamable HTTP server: the server URL, or <server URL>/mcp when it has no path
+function mcpEndpoint(serverUrl)
+{
+    const url = new URL(serverUrl);
+    if (url.pathname === "/" || url.pathname === "")
+    {
+        url.pathname = "/mcp";
+    }
+    return url.toString();
+}
+
+module.exports = { StreamableHttpClient, sendRequest, mcpEndpoint };
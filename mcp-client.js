@@ -6,6 +6,11 @@ module.exports = function (RED)
     const EventSource = require('eventsource');
     const WebSocket = require('ws');
     const { v4: uuidv4 } = require('uuid');
+    const { StreamableHttpClient, sendRequest, mcpEndpoint } = require('./lib/streamable-http-client');
+    const { StdioClient, answerServerRequest } = require('./lib/stdio-client');
+    const { parseCommandArgs, parseEnvironment } = require('./lib/command-line');
+    const { buildAuthHeaders, messageHeaders } = require('./lib/auth-headers');
+    const { PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION } = require('./lib/protocol-version');
 
     function MCPClientNode(config)
     {
@@ -19,18 +24,43 @@ module.exports = function (RED)
         node.reconnect = config.reconnect || true;
         node.reconnectInterval = config.reconnectInterval || 5000;
         node.timeout = config.timeout || 30000;
+        node.command = config.command || "";
+        node.commandArgs = parseCommandArgs(config.commandArgs);
+        node.commandEnv = parseEnvironment(config.commandEnv);
+        node.commandCwd = config.commandCwd || "";
+        node.authType = config.authType || "none";
+        node.apiKeyHeader = config.apiKeyHeader || "X-API-Key";
+
+        // A shared MCP Connection replaces the node's own transport
+        node.sharedConnection = config.connection ? RED.nodes.getNode(config.connection) : null;
+        if (node.sharedConnection)
+        {
+            node.connectionType = "shared";
+            node.sharedConnection.register(node);
+        }
 
         // Runtime state
         node.isConnected = false;
         node.connection = null;
         node.reconnectTimer = null;
         node.pendingRequests = new Map();
+        node.messagesUrl = null;
+        node.sharedWanted = false;
+
+        // Headers of the current connection: the configured ones, or those of the connect message
+        node.sessionHeaders = buildAuthHeaders(node, node.credentials);
 
         // Set initial status
         node.status({ fill: "grey", shape: "ring", text: "disconnected" });
 
-        // Connect function
-        node.connect = function (callback = () => { })
+        // Headers for a message that overrides the configured ones
+        node.headersFor = function (msg)
+        {
+            return messageHeaders(node, node.credentials, msg);
+        };
+
+        // Connect function; headers replace the headers of the connection, reconnects keep the last ones
+        node.connect = function (callback = () => { }, headers)
         {
             if (node.isConnected)
             {
@@ -39,6 +69,10 @@ module.exports = function (RED)
             }
 
             node.status({ fill: "yellow", shape: "ring", text: "connecting..." });
+            if (headers)
+            {
+                node.sessionHeaders = headers;
+            }
 
             try
             {
@@ -53,6 +87,15 @@ module.exports = function (RED)
                     case "websocket":
                         node.connectWebSocket(callback);
                         break;
+                    case "stdio":
+                        node.connectStdio(callback);
+                        break;
+                    case "streamable":
+                        node.connectStreamable(callback);
+                        break;
+                    case "shared":
+                        node.connectShared(callback);
+                        break;
                     default:
                         const error = new Error(`Unsupported connection type: ${node.connectionType}`);
                         node.error(error);
@@ -70,7 +113,7 @@ module.exports = function (RED)
         node.connectHTTP = function (callback)
         {
             // Test connection with a health check
-            axios.get(`${node.serverUrl}/health`, { timeout: node.timeout })
+            axios.get(`${node.serverUrl}/health`, { timeout: node.timeout, headers: node.sessionHeaders })
                 .then(response =>
                 {
                     node.isConnected = true;
@@ -107,7 +150,7 @@ module.exports = function (RED)
             try
             {
                 const sseUrl = `${node.serverUrl}/sse`;
-                node.connection = new EventSource(sseUrl);
+                node.connection = new EventSource(sseUrl, { headers: node.sessionHeaders });
 
                 node.connection.onopen = function (event)
                 {
@@ -126,40 +169,29 @@ module.exports = function (RED)
 
                     callback(null, { success: true, message: "SSE connection established" });
 
-                    // Automatically fetch MCP handshake information
+                    // Servers that announce a messages endpoint are initialized once it arrives
                     setTimeout(() =>
                     {
-                        node.fetchMCPHandshake();
+                        if (!node.messagesUrl)
+                        {
+                            node.fetchMCPHandshake();
+                        }
                     }, 500); // Small delay to ensure connection is fully established
                 };
 
+                // Legacy HTTP+SSE servers name the URL that takes client messages in an "endpoint" event
+                node.connection.addEventListener('endpoint', function (event)
+                {
+                    node.messagesUrl = new URL(event.data, sseUrl).toString();
+                    node.fetchMCPHandshake();
+                });
+
                 node.connection.onmessage = function (event)
                 {
+                    let data;
                     try
                     {
-                        const data = JSON.parse(event.data);
-
-                        // Handle MCP protocol messages
-                        if (data.id && node.pendingRequests.has(data.id))
-                        {
-                            const request = node.pendingRequests.get(data.id);
-                            clearTimeout(request.timeout);
-                            node.pendingRequests.delete(data.id);
-
-                            // Send response
-                            node.send({
-                                topic: "response",
-                                payload: data,
-                                requestId: data.id
-                            });
-                        } else
-                        {
-                            // Send general message
-                            node.send({
-                                topic: "message",
-                                payload: data
-                            });
-                        }
+                        data = JSON.parse(event.data);
                     } catch (parseError)
                     {
                         node.warn(`Failed to parse SSE message: ${parseError.message}`);
@@ -169,7 +201,10 @@ module.exports = function (RED)
                             topic: "raw",
                             payload: event.data
                         });
+                        return;
                     }
+
+                    node.handleServerMessage(data);
                 };
 
                 node.connection.onerror = function (error)
@@ -191,7 +226,8 @@ module.exports = function (RED)
         };
 
         // Fetch MCP handshake information (tools, capabilities, server info)
-        node.fetchMCPHandshake = function ()
+        // done is called once the session is initialized, or with the error that prevented it
+        node.fetchMCPHandshake = function (done = () => { })
         {
             if (!node.isConnected)
             {
@@ -200,9 +236,10 @@ module.exports = function (RED)
 
             node.log("Fetching MCP handshake information...");
 
-            // First, initialize the MCP session
+            // First, initialize the MCP session; the older transports speak the revision they were defined in
+            const currentTransport = node.connectionType === "streamable" || node.connectionType === "stdio";
             node.sendRequest("initialize", {
-                protocolVersion: "2024-11-05",
+                protocolVersion: currentTransport ? PROTOCOL_VERSION : LEGACY_PROTOCOL_VERSION,
                 capabilities: {
                     tools: {}
                 },
@@ -211,67 +248,87 @@ module.exports = function (RED)
                     version: "1.1.0"
                 }
             }, (error, initResponse) =>
+            {
+                if (error || initResponse.error)
+                {
+                    const initError = error || new Error(initResponse.error.message || "initialize failed");
+                    node.warn(`Failed to initialize MCP session: ${initError.message}`);
+                    done(initError);
+                    return;
+                }
+
+                // Session-based transports wait for this before they serve other requests
+                if (node.connectionType === "stdio" || node.connectionType === "streamable" || node.messagesUrl)
+                {
+                    node.sendToServer({ jsonrpc: "2.0", method: "notifications/initialized" });
+                }
+                done(null, initResponse);
+
+                node.discoverTools(initResponse);
+            });
+        };
+
+        // Report the initialize result, then list the server's tools as handshake messages
+        node.discoverTools = function (initResponse)
+        {
+            // Shared stdio connections are described by their command, like the node's own stdio transport
+            const connection = node.sharedConnection;
+            const stdio = connection ? connection.transport === "stdio" : node.connectionType === "stdio";
+
+            // Send initialization response as handshake info
+            node.send({
+                topic: "handshake",
+                payload: {
+                    type: "initialization",
+                    serverInfo: initResponse.result || initResponse,
+                    timestamp: new Date().toISOString()
+                }
+            });
+
+            // Then fetch available tools
+            node.sendRequest("tools/list", {}, (error, toolsResponse) =>
             {
                 if (error)
                 {
-                    node.warn(`Failed to initialize MCP session: ${error.message}`);
+                    node.warn(`Failed to fetch tools list: ${error.message}`);
                     return;
                 }
 
-                // Send initialization response as handshake info
+                const tools = toolsResponse.result?.tools || toolsResponse.tools || [];
+
+                // Send comprehensive handshake information
                 node.send({
                     topic: "handshake",
                     payload: {
-                        type: "initialization",
+                        type: "tools_discovered",
+                        serverUrl: stdio ? null : connection ? mcpEndpoint(connection.serverUrl) : node.serverUrl,
+                        command: stdio ? (connection ? connection.command : node.command) : undefined,
+                        connectionType: node.connectionType,
                         serverInfo: initResponse.result || initResponse,
-                        timestamp: new Date().toISOString()
+                        availableTools: tools,
+                        toolCount: tools.length,
+                        toolNames: tools.map(tool => tool.name),
+                        timestamp: new Date().toISOString(),
+                        mcpSyntax: {
+                            requestFormat: {
+                                topic: "request",
+                                payload: {
+                                    method: "tool_name_here",
+                                    params: "tool_parameters_object"
+                                }
+                            },
+                            exampleCall: tools.length > 0 ? {
+                                topic: "request",
+                                payload: {
+                                    method: tools[0].name,
+                                    params: node.generateExampleParams(tools[0].inputSchema)
+                                }
+                            } : null
+                        }
                     }
                 });
 
-                // Then fetch available tools
-                node.sendRequest("tools/list", {}, (error, toolsResponse) =>
-                {
-                    if (error)
-                    {
-                        node.warn(`Failed to fetch tools list: ${error.message}`);
-                        return;
-                    }
-
-                    const tools = toolsResponse.result?.tools || toolsResponse.tools || [];
-
-                    // Send comprehensive handshake information
-                    node.send({
-                        topic: "handshake",
-                        payload: {
-                            type: "tools_discovered",
-                            serverUrl: node.serverUrl,
-                            connectionType: node.connectionType,
-                            serverInfo: initResponse.result || initResponse,
-                            availableTools: tools,
-                            toolCount: tools.length,
-                            toolNames: tools.map(tool => tool.name),
-                            timestamp: new Date().toISOString(),
-                            mcpSyntax: {
-                                requestFormat: {
-                                    topic: "request",
-                                    payload: {
-                                        method: "tool_name_here",
-                                        params: "tool_parameters_object"
-                                    }
-                                },
-                                exampleCall: tools.length > 0 ? {
-                                    topic: "request",
-                                    payload: {
-                                        method: tools[0].name,
-                                        params: node.generateExampleParams(tools[0].inputSchema)
-                                    }
-                                } : null
-                            }
-                        }
-                    });
-
-                    node.log(`MCP handshake complete: found ${tools.length} tools`);
-                });
+                node.log(`MCP handshake complete: found ${tools.length} tools`);
             });
         };
 
@@ -323,7 +380,7 @@ module.exports = function (RED)
             try
             {
                 const wsUrl = node.serverUrl.replace(/^http/, 'ws') + '/ws';
-                node.connection = new WebSocket(wsUrl);
+                node.connection = new WebSocket(wsUrl, { headers: node.sessionHeaders });
 
                 node.connection.on('open', function ()
                 {
@@ -369,11 +426,7 @@ module.exports = function (RED)
                             });
                         } else
                         {
-                            // Send general message
-                            node.send({
-                                topic: "message",
-                                payload: message
-                            });
+                            node.sendServerMessage(message);
                         }
                     } catch (parseError)
                     {
@@ -417,9 +470,390 @@ module.exports = function (RED)
             }
         };
 
+        // Spawn a local MCP server and exchange newline-delimited JSON-RPC over its stdin and stdout
+        node.connectStdio = function (callback)
+        {
+            if (!node.command)
+            {
+                callback(new Error("A command is required for stdio connections"));
+                return;
+            }
+
+            const client = new StdioClient(node.command, node.commandArgs, {
+                cwd: node.commandCwd,
+                env: node.commandEnv
+            });
+            node.connection = client;
+
+            client.on('message', message =>
+            {
+                if (node.connection === client)
+                {
+                    node.handleServerMessage(message);
+                }
+            });
+
+            // Servers sometimes log to stdout; pass such lines on unparsed
+            client.on('output', line =>
+            {
+                node.send({
+                    topic: "raw",
+                    payload: line
+                });
+            });
+
+            // Diagnostics of the server go to the second output
+            client.on('stderr', text =>
+            {
+                node.send([null, {
+                    topic: "stderr",
+                    payload: text,
+                    pid: client.pid
+                }]);
+            });
+
+            client.on('error', error =>
+            {
+                node.warn(error.message);
+            });
+
+            client.on('exit', (code, signal) =>
+            {
+                node.log(`MCP server process exited with code ${code}, signal ${signal}`);
+
+                // A process replaced by disconnect() or a reconnect is already accounted for
+                if (node.connection !== client)
+                {
+                    return;
+                }
+                node.connection = null;
+                node.isConnected = false;
+                node.failPendingRequests(new Error("MCP server process exited"));
+                node.status({ fill: "red", shape: "dot", text: `exited (${code !== null ? code : signal})` });
+
+                node.send({
+                    topic: "disconnected",
+                    payload: { connectionType: "stdio", code: code, signal: signal }
+                });
+
+                if (node.reconnect)
+                {
+                    node.scheduleReconnect();
+                }
+            });
+
+            client.start().then(() =>
+            {
+                node.isConnected = true;
+                node.status({ fill: "green", shape: "dot", text: "connected (stdio)" });
+
+                node.send({
+                    topic: "connected",
+                    payload: {
+                        command: node.command,
+                        args: node.commandArgs,
+                        pid: client.pid,
+                        connectionType: "stdio"
+                    }
+                });
+
+                callback(null, { success: true, message: "stdio server started" });
+                node.fetchMCPHandshake();
+            }, error =>
+            {
+                node.error(`stdio server error: ${error.message}`);
+                if (node.connection === client)
+                {
+                    node.connection = null;
+                }
+                node.status({ fill: "red", shape: "dot", text: "spawn failed" });
+                callback(error);
+            });
+        };
+
+        // Handle a message from a session-based transport: a response to a pending request, a request from
+        // the server, or a notification
+        node.handleServerMessage = function (message)
+        {
+            if (message.id !== undefined && message.method === undefined && node.pendingRequests.has(message.id))
+            {
+                const request = node.pendingRequests.get(message.id);
+                clearTimeout(request.timeout);
+                node.pendingRequests.delete(message.id);
+
+                if (request.callback)
+                {
+                    request.callback(null, message);
+                } else
+                {
+                    node.send({
+                        topic: "response",
+                        payload: message,
+                        requestId: message.id
+                    });
+                }
+                return;
+            }
+
+            // Requests from the server: answer pings, refuse what this client does not offer
+            const answer = answerServerRequest(message);
+            if (answer)
+            {
+                node.sendToServer(answer);
+                if (message.method === 'ping')
+                {
+                    return;
+                }
+            }
+
+            node.sendServerMessage(message);
+        };
+
+        // Send a message outside the request/response flow (notifications and answers to server requests)
+        node.sendToServer = function (message)
+        {
+            if (node.connectionType === "stdio" || node.connectionType === "streamable")
+            {
+                if (node.connection)
+                {
+                    node.connection.send(message).catch(error =>
+                    {
+                        node.warn(`Failed to send ${message.method || "response"} to MCP server: ${error.message}`);
+                    });
+                }
+            } else if (node.messagesUrl)
+            {
+                axios.post(node.messagesUrl, message, { timeout: node.timeout, headers: node.sessionHeaders }).catch(error =>
+                {
+                    node.warn(`Failed to send ${message.method || "response"} to MCP server: ${error.message}`);
+                });
+            }
+        };
+
+        // Streamable HTTP: initialize a session, then keep the optional GET stream open for server messages
+        node.connectStreamable = function (callback)
+        {
+            const client = new StreamableHttpClient(mcpEndpoint(node.serverUrl), {
+                headers: node.sessionHeaders,
+                timeout: node.timeout,
+                reconnectDelay: node.reconnectInterval
+            });
+            node.connection = client;
+
+            client.on('message', message =>
+            {
+                if (node.connection === client)
+                {
+                    node.handleServerMessage(message);
+                }
+            });
+            client.on('error', error =>
+            {
+                node.warn(`Streamable HTTP error: ${error.message}`);
+            });
+            client.on('stream-closed', () =>
+            {
+                // The client re-opens the stream with Last-Event-ID so missed messages are replayed
+                if (node.connection === client && node.isConnected)
+                {
+                    node.status({ fill: "yellow", shape: "ring", text: "connected (resuming stream)" });
+                }
+            });
+            client.on('stream-open', () =>
+            {
+                if (node.connection === client && node.isConnected)
+                {
+                    node.status({ fill: "green", shape: "dot", text: "connected (Streamable HTTP)" });
+                }
+            });
+
+            // Requests can only be sent while connected, so the session is set up in that state
+            node.isConnected = true;
+            node.fetchMCPHandshake((error) =>
+            {
+                if (node.connection !== client)
+                {
+                    return;
+                }
+
+                if (error)
+                {
+                    node.isConnected = false;
+                    node.connection = null;
+                    client.close();
+                    node.status({ fill: "red", shape: "dot", text: "connection failed" });
+                    callback(error);
+
+                    if (node.reconnect)
+                    {
+                        node.scheduleReconnect();
+                    }
+                    return;
+                }
+
+                node.status({ fill: "green", shape: "dot", text: "connected (Streamable HTTP)" });
+                node.send({
+                    topic: "connected",
+                    payload: {
+                        serverUrl: client.url.toString(),
+                        connectionType: "streamable",
+                        sessionId: client.sessionId,
+                        protocolVersion: client.protocolVersion
+                    }
+                });
+                callback(null, { success: true, message: "Streamable HTTP session established" });
+
+                client.openStream().catch(streamError =>
+                {
+                    node.warn(`Could not open server stream: ${streamError.message}`);
+                });
+            });
+        };
+
+        // Use the session of the MCP Connection config node; the handshake is only reported, not repeated
+        node.connectShared = function (callback)
+        {
+            node.sharedWanted = true;
+            node.sharedConnection.connect()
+                .then(serverInfo =>
+                {
+                    // The connection's "connected" event has already announced a session it just opened
+                    if (!node.isConnected)
+                    {
+                        node.sharedConnected(serverInfo);
+                    }
+                    callback(null, { success: true, message: "Using shared MCP connection" });
+                })
+                .catch(error =>
+                {
+                    node.status({ fill: "red", shape: "dot", text: "connection failed" });
+                    callback(error);
+                });
+        };
+
+        node.sharedConnected = function (serverInfo)
+        {
+            const connection = node.sharedConnection;
+            node.isConnected = true;
+            node.status({ fill: "green", shape: "dot", text: "connected (shared)" });
+            node.send({
+                topic: "connected",
+                payload: {
+                    serverUrl: connection.transport === "stdio" ? null : mcpEndpoint(connection.serverUrl),
+                    command: connection.transport === "stdio" ? connection.command : undefined,
+                    connectionType: "shared",
+                    transport: connection.transport,
+                    sessionId: connection.session && connection.session.sessionId
+                }
+            });
+            node.discoverTools({ result: serverInfo });
+        };
+
+        // Events of the shared MCP Connection
+        node.handleConnectionEvent = function (event, payload)
+        {
+            switch (event)
+            {
+                case "connected":
+                    if (node.sharedWanted && !node.isConnected)
+                    {
+                        node.sharedConnected(payload);
+                    }
+                    break;
+                case "message":
+                    if (node.isConnected)
+                    {
+                        node.sendServerMessage(payload);
+                    }
+                    break;
+                case "stderr":
+                    node.send([null, Object.assign({ topic: "stderr" }, payload)]);
+                    break;
+                case "disconnected":
+                    if (node.isConnected)
+                    {
+                        node.isConnected = false;
+                        node.status({ fill: "red", shape: "dot", text: "disconnected" });
+                        node.send({
+                            topic: "disconnected",
+                            payload: Object.assign({ connectionType: "shared" }, payload)
+                        });
+                    }
+                    break;
+            }
+        };
+
+        // The server no longer knows the session (404): start a new one
+        node.handleSessionExpired = function ()
+        {
+            if (!node.isConnected || node.connectionType !== "streamable")
+            {
+                return;
+            }
+            node.log("MCP session expired, starting a new one");
+            const client = node.connection;
+            node.connection = null;
+            node.isConnected = false;
+            node.failPendingRequests(new Error("MCP session expired"));
+            if (client)
+            {
+                client.close();
+            }
+            node.connect();
+        };
+
+        // Wait for the response to a request sent over a session-based transport
+        node.trackRequest = function (requestId, callback)
+        {
+            const timeout = setTimeout(() =>
+            {
+                node.failRequest(requestId, new Error("Request timeout"));
+            }, node.timeout);
+
+            node.pendingRequests.set(requestId, {
+                callback: callback,
+                timeout: timeout
+            });
+        };
+
+        node.failRequest = function (requestId, error)
+        {
+            const request = node.pendingRequests.get(requestId);
+            if (!request)
+            {
+                return;
+            }
+            clearTimeout(request.timeout);
+            node.pendingRequests.delete(requestId);
+
+            if (request.callback)
+            {
+                request.callback(error);
+            }
+            node.send({
+                topic: "error",
+                payload: { error: error.message, requestId: requestId }
+            });
+        };
+
+        // Fail every request still waiting for a response
+        node.failPendingRequests = function (error)
+        {
+            node.pendingRequests.forEach(request =>
+            {
+                clearTimeout(request.timeout);
+                if (request.callback)
+                {
+                    request.callback(error);
+                }
+            });
+            node.pendingRequests.clear();
+        };
+
         // Disconnect function
         node.disconnect = function (callback = () => { })
         {
+            node.sharedWanted = false;
             if (!node.isConnected)
             {
                 callback(null, { success: true, message: "Already disconnected" });
@@ -444,11 +878,16 @@ module.exports = function (RED)
                     } else if (node.connectionType === "websocket")
                     {
                         node.connection.close(1000, "Normal closure");
+                    } else if (node.connectionType === "streamable" || node.connectionType === "stdio")
+                    {
+                        // Ends the GET stream and deletes the session, or stops the server process
+                        node.connection.close();
                     }
                     node.connection = null;
                 }
 
                 node.isConnected = false;
+                node.messagesUrl = null;
                 node.status({ fill: "grey", shape: "ring", text: "disconnected" });
 
                 // Clear pending requests
@@ -483,8 +922,32 @@ module.exports = function (RED)
             }, node.reconnectInterval);
         };
 
-        // Send MCP request
-        node.sendRequest = function (method, params = {}, callback)
+        // Forward a message the server sent on its own; progress notifications get their own topic
+        node.sendServerMessage = function (message)
+        {
+            if (message && message.method === 'notifications/progress' && message.params)
+            {
+                node.send({
+                    topic: "progress",
+                    payload: {
+                        progressToken: message.params.progressToken,
+                        progress: message.params.progress,
+                        total: message.params.total,
+                        message: message.params.message
+                    }
+                });
+                return;
+            }
+
+            node.send({
+                topic: "message",
+                payload: message
+            });
+        };
+
+        // Send MCP request; options.headers replace the connection's headers for this request on stateless HTTP.
+        // Sessions are bound to the caller, so session-based transports keep the headers they connected with.
+        node.sendRequest = function (method, params = {}, callback, options = {})
         {
             if (!node.isConnected)
             {
@@ -501,23 +964,40 @@ module.exports = function (RED)
                 params: params
             };
 
+            // Ask for progress on tool calls; it is reported under the request id
+            if (method === 'tools/call' && !(params._meta && params._meta.progressToken !== undefined))
+            {
+                request.params = Object.assign({}, params, {
+                    _meta: Object.assign({}, params._meta, { progressToken: requestId })
+                });
+            }
+
+            const headers = options.headers || node.sessionHeaders;
+            if (options.headers && node.connectionType !== "http" && !(node.connectionType === "sse" && !node.messagesUrl))
+            {
+                node.warn(node.connectionType === "stdio" || node.connectionType === "shared"
+                    ? `msg.headers and msg.authToken do not apply to ${node.connectionType} connections`
+                    : `msg.headers and msg.authToken only apply to connect messages on ${node.connectionType} connections`);
+            }
+
             try
             {
                 switch (node.connectionType)
                 {
                     case "http":
-                        // HTTP POST request
-                        axios.post(`${node.serverUrl}/mcp`, request, {
+                        // HTTP POST request; progress and other notifications may be streamed ahead of the response
+                        sendRequest(`${node.serverUrl}/mcp`, request, {
                             timeout: node.timeout,
-                            headers: { 'Content-Type': 'application/json' }
+                            headers: Object.assign({ 'Accept': 'application/json, text/event-stream' }, headers),
+                            onNotification: node.sendServerMessage
                         })
                             .then(response =>
                             {
-                                if (callback) callback(null, response.data);
+                                if (callback) callback(null, response);
 
                                 node.send({
                                     topic: "response",
-                                    payload: response.data,
+                                    payload: response,
                                     requestId: requestId
                                 });
                             })
@@ -533,10 +1013,21 @@ module.exports = function (RED)
                         break;
 
                     case "sse":
-                        // For SSE, we need to use HTTP POST for requests and listen for responses
+                        if (node.messagesUrl)
+                        {
+                            // Legacy HTTP+SSE: POST to the endpoint the server announced; the response arrives on the stream
+                            node.trackRequest(requestId, callback);
+                            axios.post(node.messagesUrl, request, { timeout: node.timeout, headers: node.sessionHeaders }).catch(error =>
+                            {
+                                node.failRequest(requestId, error);
+                            });
+                            break;
+                        }
+
+                        // Servers that announce no endpoint get the request as a plain POST to /mcp
                         axios.post(`${node.serverUrl}/mcp`, request, {
                             timeout: node.timeout,
-                            headers: { 'Content-Type': 'application/json' }
+                            headers: Object.assign({ 'Content-Type': 'application/json' }, headers)
                         })
                             .then(response =>
                             {
@@ -548,29 +1039,58 @@ module.exports = function (RED)
                             });
                         break;
 
-                    case "websocket":
-                        // WebSocket send
-                        node.connection.send(JSON.stringify(request));
-
-                        // Set up timeout for response
-                        const timeoutHandler = setTimeout(() =>
-                        {
-                            node.pendingRequests.delete(requestId);
-                            const error = new Error("Request timeout");
-                            if (callback) callback(error);
+                    case "shared":
+                        // Progress for this request comes back through onNotification; other messages reach every user
+                        node.sharedConnection.request(request, { timeout: node.timeout, onNotification: node.sendServerMessage })
+                            .then(response =>
+                            {
+                                if (callback)
+                                {
+                                    callback(null, response);
+                                } else
+                                {
+                                    node.send({
+                                        topic: "response",
+                                        payload: response,
+                                        requestId: requestId
+                                    });
+                                }
+                            })
+                            .catch(error =>
+                            {
+                                if (callback) callback(error);
 
-                            node.send({
-                                topic: "error",
-                                payload: { error: "Request timeout", requestId: requestId }
+                                node.send({
+                                    topic: "error",
+                                    payload: { error: error.message, requestId: requestId }
+                                });
                             });
-                        }, node.timeout);
+                        break;
 
-                        // Store pending request
-                        node.pendingRequests.set(requestId, {
-                            callback: callback,
-                            timeout: timeoutHandler
+                    case "streamable":
+                        // The response arrives as a JSON body or on an SSE stream; both are emitted as messages
+                        node.trackRequest(requestId, callback);
+                        node.connection.send(request).catch(error =>
+                        {
+                            node.failRequest(requestId, error);
+                            if (error.status === 404)
+                            {
+                                node.handleSessionExpired();
+                            }
                         });
                         break;
+
+                    case "websocket":
+                    case "stdio":
+                        if (node.connectionType === "stdio")
+                        {
+                            node.sendToServer(request);
+                        } else
+                        {
+                            node.connection.send(JSON.stringify(request));
+                        }
+                        node.trackRequest(requestId, callback);
+                        break;
                 }
             } catch (error)
             {
@@ -594,7 +1114,7 @@ module.exports = function (RED)
                             msg.payload = result;
                             node.send(msg);
                         }
-                    });
+                    }, node.headersFor(msg) || buildAuthHeaders(node, node.credentials));
                     break;
 
                 case 'disconnect':
@@ -630,7 +1150,7 @@ module.exports = function (RED)
                             msg.topic = "response";
                         }
                         node.send(msg);
-                    });
+                    }, { headers: node.headersFor(msg) });
                     break;
 
                 case 'status':
@@ -640,6 +1160,30 @@ module.exports = function (RED)
                         connectionType: node.connectionType,
                         pendingRequests: node.pendingRequests.size
                     };
+                    if (node.connectionType === "stdio")
+                    {
+                        msg.payload.command = node.command;
+                        msg.payload.pid = node.connection ? node.connection.pid : null;
+                    }
+                    if (node.connectionType === "streamable" && node.connection)
+                    {
+                        msg.payload.sessionId = node.connection.sessionId;
+                        msg.payload.protocolVersion = node.connection.protocolVersion;
+                        msg.payload.streamOpen = Boolean(node.connection.stream);
+                    }
+                    if (node.connectionType === "shared")
+                    {
+                        const connection = node.sharedConnection;
+                        msg.payload.serverUrl = connection.transport === "stdio" ? null : mcpEndpoint(connection.serverUrl);
+                        msg.payload.connection = {
+                            id: connection.id,
+                            transport: connection.transport,
+                            connected: connection.connected,
+                            sessionId: connection.session ? connection.session.sessionId : undefined,
+                            pid: connection.session ? connection.session.pid : undefined,
+                            pendingRequests: connection.pendingRequests.size
+                        };
+                    }
                     node.send(msg);
                     break;
 
@@ -662,11 +1206,23 @@ module.exports = function (RED)
         {
             node.disconnect(() =>
             {
+                if (node.sharedConnection)
+                {
+                    node.sharedConnection.deregister(node, done);
+                    return;
+                }
                 done();
             });
         });
     }
 
     // Register the node
-    RED.nodes.registerType("mcp-client", MCPClientNode);
+    RED.nodes.registerType("mcp-client", MCPClientNode, {
+        credentials: {
+            authToken: { type: "password" },
+            username: { type: "text" },
+            password: { type: "password" },
+            headers: { type: "password" }
+        }
+    });
 }; 
@@ -0,0 +1,459 @@
+module.exports = function (RED)
+{
+    "use strict";
+
+    const { v4: uuidv4 } = require('uuid');
+    const { StreamableHttpClient, mcpEndpoint } = require('./lib/streamable-http-client');
+    const { StdioClient, answerServerRequest } = require('./lib/stdio-client');
+    const { parseCommandArgs, parseEnvironment } = require('./lib/command-line');
+    const { buildAuthHeaders } = require('./lib/auth-headers');
+    const { PROTOCOL_VERSION } = require('./lib/protocol-version');
+
+    // One initialized MCP session to a server, shared by every MCP Client and MCP Tool node that uses it
+    function MCPConnectionNode(config)
+    {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Configuration
+        node.name = config.name;
+        node.transport = config.transport || "streamable";
+        node.serverUrl = config.serverUrl || "http://localhost:8000";
+        node.command = config.command || "";
+        node.commandArgs = parseCommandArgs(config.commandArgs);
+        node.commandEnv = parseEnvironment(config.commandEnv);
+        node.commandCwd = config.commandCwd || "";
+        node.authType = config.authType || "none";
+        node.apiKeyHeader = config.apiKeyHeader || "X-API-Key";
+        node.timeout = Number(config.timeout) || 30000;
+        node.reconnect = config.reconnect !== false;
+        node.reconnectInterval = Number(config.reconnectInterval) || 5000;
+
+        // Runtime state
+        node.users = {};
+        node.session = null;
+        node.connecting = null;
+        node.connected = false;
+        node.serverInfo = null;
+        node.pendingRequests = new Map();
+        node.reconnectTimer = null;
+        node.closing = false;
+
+        // Nodes using the connection; they receive its events through handleConnectionEvent(event, payload)
+        node.register = function (user)
+        {
+            node.users[user.id] = user;
+        };
+
+        node.deregister = function (user, done = () => { })
+        {
+            delete node.users[user.id];
+            if (Object.keys(node.users).length === 0)
+            {
+                node.disconnect().then(() => done());
+                return;
+            }
+            done();
+        };
+
+        // Pass an event to every user: connected, disconnected, message or stderr
+        node.notifyUsers = function (event, payload)
+        {
+            Object.values(node.users).forEach(user =>
+            {
+                if (typeof user.handleConnectionEvent === 'function')
+                {
+                    user.handleConnectionEvent(event, payload);
+                }
+            });
+        };
+
+        // Describes the server for status messages and logs
+        node.describe = function ()
+        {
+            return node.transport === "stdio" ? node.command : mcpEndpoint(node.serverUrl);
+        };
+
+        // Resolves with the initialize result once the session is ready; concurrent callers share one attempt
+        node.connect = function ()
+        {
+            if (node.connected)
+            {
+                return Promise.resolve(node.serverInfo);
+            }
+            if (!node.connecting)
+            {
+                node.connecting = node.openSession()
+                    .finally(() =>
+                    {
+                        node.connecting = null;
+                    });
+            }
+            return node.connecting;
+        };
+
+        node.openSession = async function ()
+        {
+            if (node.closing)
+            {
+                throw new Error("Connection is closed");
+            }
+            if (node.reconnectTimer)
+            {
+                clearTimeout(node.reconnectTimer);
+                node.reconnectTimer = null;
+            }
+
+            try
+            {
+                if (node.transport === "stdio")
+                {
+                    await node.startProcess();
+                } else
+                {
+                    node.startStreamable();
+                }
+
+                const response = await node.exchange({
+                    jsonrpc: "2.0",
+                    id: uuidv4(),
+                    method: "initialize",
+                    params: {
+                        protocolVersion: PROTOCOL_VERSION,
+                        capabilities: {},
+                        clientInfo: {
+                            name: "node-red-mcp-connection",
+                            version: "1.1.0"
+                        }
+                    }
+                });
+                if (response.error)
+                {
+                    throw new Error(response.error.message || "initialize failed");
+                }
+
+                node.write({ jsonrpc: "2.0", method: "notifications/initialized" });
+                node.serverInfo = response.result;
+                node.connected = true;
+                node.log(`MCP session to ${node.describe()} initialized`);
+                node.notifyUsers("connected", node.serverInfo);
+
+                if (node.transport !== "stdio")
+                {
+                    // The GET stream is optional; servers without one answer 405
+                    node.session.openStream().catch(error =>
+                    {
+                        node.warn(`Could not open server stream: ${error.message}`);
+                    });
+                }
+                return node.serverInfo;
+            } catch (error)
+            {
+                node.warn(`Failed to connect to MCP server ${node.describe()}: ${error.message}`);
+                node.dropSession(error);
+                throw error;
+            }
+        };
+
+        // Streamable HTTP transport; messages from POST responses and the GET stream arrive as 'message' events
+        node.startStreamable = function ()
+        {
+            const client = new StreamableHttpClient(mcpEndpoint(node.serverUrl), {
+                headers: buildAuthHeaders(node, node.credentials),
+                timeout: node.timeout,
+                reconnectDelay: node.reconnectInterval
+            });
+            node.session = client;
+
+            client.on('message', message =>
+            {
+                if (node.session === client)
+                {
+                    node.handleMessage(message);
+                }
+            });
+            client.on('error', error =>
+            {
+                if (node.session !== client)
+                {
+                    return;
+                }
+                node.warn(`Streamable HTTP error: ${error.message}`);
+                if (error.status === 404 && node.connected)
+                {
+                    node.sessionLost(new Error("MCP session expired"));
+                }
+            });
+        };
+
+        // stdio transport: resolves once the process is running
+        node.startProcess = function ()
+        {
+            if (!node.command)
+            {
+                return Promise.reject(new Error("A command is required for stdio connections"));
+            }
+
+            const client = new StdioClient(node.command, node.commandArgs, {
+                cwd: node.commandCwd,
+                env: node.commandEnv
+            });
+            node.session = client;
+
+            client.on('message', message =>
+            {
+                if (node.session === client)
+                {
+                    node.handleMessage(message);
+                }
+            });
+            client.on('output', line =>
+            {
+                node.debug(`Ignoring non-JSON output of ${node.command}: ${line}`);
+            });
+            client.on('stderr', text =>
+            {
+                node.notifyUsers("stderr", { payload: text, pid: client.pid });
+            });
+            client.on('error', error =>
+            {
+                node.warn(error.message);
+            });
+            client.on('exit', (code, signal) =>
+            {
+                node.log(`MCP server process exited with code ${code}, signal ${signal}`);
+                if (node.session === client && node.connected)
+                {
+                    node.sessionLost(new Error("MCP server process exited"), { code: code, signal: signal });
+                }
+            });
+
+            return client.start().catch(error =>
+            {
+                node.error(`stdio server error: ${error.message}`);
+                throw error;
+            });
+        };
+
+        // Send a message that expects no response
+        node.write = function (message)
+        {
+            const session = node.session;
+            if (!session)
+            {
+                return;
+            }
+            session.send(message).catch(error =>
+            {
+                node.warn(`Failed to send ${message.method || "response"} to MCP server: ${error.message}`);
+            });
+        };
+
+        // Send a request on the current session and resolve with the response message.
+        // options.onNotification receives the progress notifications for the request's progressToken.
+        node.exchange = function (request, options = {})
+        {
+            return new Promise((resolve, reject) =>
+            {
+                const session = node.session;
+                if (!session)
+                {
+                    reject(new Error("Not connected to MCP server"));
+                    return;
+                }
+
+                const timeout = setTimeout(() =>
+                {
+                    node.pendingRequests.delete(request.id);
+                    reject(new Error("Request timeout"));
+                }, options.timeout || node.timeout);
+
+                node.pendingRequests.set(request.id, {
+                    resolve: resolve,
+                    reject: reject,
+                    timeout: timeout,
+                    progressToken: request.params && request.params._meta ? request.params._meta.progressToken : undefined,
+                    onNotification: options.onNotification
+                });
+
+                session.send(request).catch(error =>
+                {
+                    node.failRequest(request.id, error);
+                    if (error.status === 404 && node.session === session && node.connected)
+                    {
+                        node.sessionLost(new Error("MCP session expired"));
+                    }
+                });
+            });
+        };
+
+        // Send a request, connecting first when there is no session yet
+        node.request = function (request, options = {})
+        {
+            return node.connect().then(() => node.exchange(request, options));
+        };
+
+        node.failRequest = function (requestId, error)
+        {
+            const pending = node.pendingRequests.get(requestId);
+            if (pending)
+            {
+                clearTimeout(pending.timeout);
+                node.pendingRequests.delete(requestId);
+                pending.reject(error);
+            }
+        };
+
+        // Route a message from the server: responses and progress to their request, everything else to the users
+        node.handleMessage = function (message)
+        {
+            if (message.id !== undefined && message.method === undefined)
+            {
+                const pending = node.pendingRequests.get(message.id);
+                if (pending)
+                {
+                    clearTimeout(pending.timeout);
+                    node.pendingRequests.delete(message.id);
+                    pending.resolve(message);
+                }
+                return;
+            }
+
+            if (message.method === 'notifications/progress' && message.params)
+            {
+                const pending = Array.from(node.pendingRequests.values())
+                    .find(entry => entry.progressToken !== undefined && entry.progressToken === message.params.progressToken);
+                if (pending)
+                {
+                    if (pending.onNotification)
+                    {
+                        pending.onNotification(message);
+                    }
+                    return;
+                }
+            }
+
+            // Requests from the server: answer pings, refuse what this client does not offer
+            const answer = answerServerRequest(message);
+            if (answer)
+            {
+                node.write(answer);
+                if (message.method === 'ping')
+                {
+                    return;
+                }
+            }
+
+            node.notifyUsers("message", message);
+        };
+
+        // Close the transport and fail whatever still waits for a response
+        node.dropSession = function (error)
+        {
+            const session = node.session;
+            node.session = null;
+            node.connected = false;
+            node.serverInfo = null;
+
+            node.pendingRequests.forEach(pending =>
+            {
+                clearTimeout(pending.timeout);
+                pending.reject(error);
+            });
+            node.pendingRequests.clear();
+
+            if (!session)
+            {
+                return Promise.resolve();
+            }
+            // Stops the process, or ends the GET stream and deletes the session on the server
+            return session.close();
+        };
+
+        // The session ended without being asked to: tell the users and start over if the policy says so
+        node.sessionLost = function (error, details = {})
+        {
+            node.warn(`MCP session to ${node.describe()} lost: ${error.message}`);
+            node.dropSession(error);
+            node.notifyUsers("disconnected", Object.assign({ reason: error.message }, details));
+            node.scheduleReconnect();
+        };
+
+        node.scheduleReconnect = function ()
+        {
+            if (!node.reconnect || node.closing || node.reconnectTimer || Object.keys(node.users).length === 0)
+            {
+                return;
+            }
+
+            node.reconnectTimer = setTimeout(() =>
+            {
+                node.reconnectTimer = null;
+                node.log("Attempting to reconnect...");
+                node.connect().catch(() =>
+                {
+                    node.scheduleReconnect();
+                });
+            }, node.reconnectInterval);
+        };
+
+        node.disconnect = function ()
+        {
+            if (node.reconnectTimer)
+            {
+                clearTimeout(node.reconnectTimer);
+                node.reconnectTimer = null;
+            }
+            const wasConnected = node.connected;
+            return node.dropSession(new Error("Connection closed")).then(() =>
+            {
+                if (wasConnected)
+                {
+                    node.notifyUsers("disconnected", { reason: "Connection closed" });
+                }
+            });
+        };
+
+        // Cleanup on node close
+        node.on('close', function (done)
+        {
+            node.closing = true;
+            node.disconnect().then(() => done(), () => done());
+        });
+    }
+
+    // Register the node
+    RED.nodes.registerType("mcp-connection", MCPConnectionNode, {
+        credentials: {
+            authToken: { type: "password" },
+            username: { type: "text" },
+            password: { type: "password" },
+            headers: { type: "password" }
+        }
+    });
+
+    // Tools of a deployed connection, for the MCP Tool editor
+    RED.httpAdmin.get("/mcp-connections/:id/tools", RED.auth.needsPermission('mcp-connection.read'), function (req, res)
+    {
+        const connection = RED.nodes.getNode(req.params.id);
+        if (!connection || connection.type !== "mcp-connection")
+        {
+            return res.status(404).json({ error: "Connection not deployed" });
+        }
+
+        connection.request({ jsonrpc: "2.0", id: uuidv4(), method: "tools/list", params: {} })
+            .then(response =>
+            {
+                if (response.error)
+                {
+                    res.status(500).json({ error: `MCP Server Error: ${response.error.message || 'Unknown error'}` });
+                    return;
+                }
+                res.json({ tools: (response.result && response.result.tools) || [] });
+            })
+            .catch(error =>
+            {
+                res.status(500).json({ error: error.message });
+            });
+    });
+};
@@ -3,14 +3,423 @@ module.exports = function (RED)
     "use strict";
 
     const http = require('http');
+    const https = require('https');
+    const path = require('path');
+    const crypto = require('crypto');
     const express = require('express');
     const { v4: uuidv4 } = require('uuid');
     const NodeCache = require('node-cache');
-
-    // Global registry for tools across all flow server instances
+    const Ajv = require('ajv');
+    const addFormats = require('ajv-formats');
+    const { createJwksKeyStore, verifyJwt, tokenScopes } = require('./lib/jwt');
+    const { createAuditFile, redactFields } = require('./lib/audit-log');
+    const { createMetricsRegistry, renderMetrics, METRICS_CONTENT_TYPE } = require('./lib/metrics');
+    const { PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION } = require('./lib/protocol-version');
+
+    // Global registry for tools across all flow server instances, keyed by the registering node id
     const toolRegistry = new NodeCache({ stdTTL: 0 });
+    const resourceRegistry = new NodeCache({ stdTTL: 0 });
+    const promptRegistry = new NodeCache({ stdTTL: 0 });
+
+    // Compiled inputSchema and outputSchema validators, keyed like toolRegistry
+    const toolValidators = new Map();
+    const toolOutputValidators = new Map();
+    const ajv = new Ajv({ allErrors: true, strict: false, addUsedSchema: false });
+    addFormats(ajv);
+
+    // Tool name -> MCP Tool In nodes implementing it, as { handlerId, server }; server is "" for every flow server
+    const toolHandlers = new Map();
     const serverInstances = new NodeCache({ stdTTL: 0 });
 
+    // MCP Tool In node answering a tool on one flow server: one bound to that server, else one serving all servers
+    function findToolHandler(toolName, serverNodeId)
+    {
+        const handlers = toolHandlers.get(toolName) || [];
+        const bound = handlers.filter(handler => handler.server === serverNodeId);
+        const shared = handlers.filter(handler => !handler.server);
+        return bound.concat(shared)
+            .map(handler => RED.nodes.getNode(handler.handlerId))
+            .find(handler => handler);
+    }
+
+    // Tools served by one flow server: those bound to it, plus those not bound to any server
+    function toolsForServer(serverNodeId)
+    {
+        return toolRegistry.keys()
+            .map(key => toolRegistry.get(key))
+            .filter(tool => tool && (!tool.servers || tool.servers.length === 0 || tool.servers.includes(serverNodeId)));
+    }
+
+    // Check tool call arguments against the tool's inputSchema; returns one line per violation
+    function validateToolArguments(tool, args)
+    {
+        const validate = toolValidators.get(tool.registeredBy || tool.name);
+        if (!validate || validate(args === undefined ? {} : args))
+        {
+            return [];
+        }
+        return describeViolations(validate.errors, 'arguments');
+    }
+
+    // Check a tool result's structuredContent against the tool's outputSchema
+    function validateToolOutput(tool, structuredContent)
+    {
+        const validate = toolOutputValidators.get(tool.registeredBy || tool.name);
+        if (!validate || validate(structuredContent))
+        {
+            return [];
+        }
+        return describeViolations(validate.errors, 'structuredContent');
+    }
+
+    function describeViolations(errors, root)
+    {
+        return errors.map(error =>
+        {
+            // "/items/0/name" -> "arguments.items[0].name"
+            const path = root + error.instancePath.replace(/\/([^/]*)/g, (match, key) =>
+                /^\d+$/.test(key) ? `[${key}]` : `.${key.replace(/~1/g, '/').replace(/~0/g, '~')}`);
+            if (error.keyword === 'enum')
+            {
+                return `${path} ${error.message}: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+            }
+            if (error.keyword === 'additionalProperties')
+            {
+                return `${path} ${error.message}: '${error.params.additionalProperty}'`;
+            }
+            return `${path} ${error.message}`;
+        });
+    }
+
+    // Protocol revisions this server can speak, newest first
+    const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION];
+
+    // Number of stream events kept per session for Last-Event-ID replay
+    const SESSION_EVENT_BUFFER = 100;
+
+    // Executions that ended without a reply are remembered this long so late replies can be reported
+    const LATE_REPLY_WINDOW = 10 * 60 * 1000;
+
+    // JSON-RPC error code for tool calls turned away because the execution queue is full
+    const QUEUE_FULL_ERROR = -32003;
+
+    // JSON-RPC error code for tool calls over a caller's rate limit
+    const RATE_LIMITED_ERROR = -32004;
+
+    // Rate limit counters of callers idle for longer than this are forgotten
+    const RATE_LIMIT_IDLE_TIMEOUT = 60 * 60 * 1000;
+
+    // Registry changes within this window are announced once; re-registrations by an update cancel out.
+    // Longer than the 500 ms registry nodes wait before auto-registering, so a redeploy is announced once.
+    const TOOL_LIST_CHANGE_DELAY = 1000;
+
+    // Sessions without an open stream are dropped after this much idle time
+    const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+    // Write a single Server-Sent Event to an open response
+    function writeSseEvent(res, data, eventId, eventName)
+    {
+        let frame = '';
+        if (eventId !== undefined)
+        {
+            frame += `id: ${eventId}\n`;
+        }
+        if (eventName)
+        {
+            frame += `event: ${eventName}\n`;
+        }
+        frame += `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+        res.write(frame);
+    }
+
+    function openSseStream(res)
+    {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        if (res.flushHeaders)
+        {
+            res.flushHeaders();
+        }
+    }
+
+    function acceptsEventStream(req)
+    {
+        return (req.get('Accept') || '').includes('text/event-stream');
+    }
+
+    // Match a concrete URI against an RFC 6570 level 1/2 template, returning the variables or null
+    function matchUriTemplate(template, uri)
+    {
+        const names = [];
+        const pattern = template.split(/(\{[^}]+\})/).map(part =>
+        {
+            const expression = /^\{(\+?)([^}]+)\}$/.exec(part);
+            if (!expression)
+            {
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+            names.push(expression[2]);
+            // {+var} may span reserved characters such as '/', {var} may not
+            return expression[1] ? '(.+)' : '([^/?#]+)';
+        }).join('');
+
+        const match = new RegExp(`^${pattern}$`).exec(uri);
+        if (!match)
+        {
+            return null;
+        }
+
+        const variables = {};
+        names.forEach((name, index) =>
+        {
+            variables[name] = decodeURIComponent(match[index + 1]);
+        });
+        return variables;
+    }
+
+    // Replace {{argument}} placeholders in prompt text
+    function fillPromptTemplate(text, args)
+    {
+        return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) =>
+            args[name] !== undefined && args[name] !== null ? String(args[name]) : '');
+    }
+
+    // Normalize prompt messages: plain string content becomes a text content block.
+    // Placeholders are only filled for static templates (args given).
+    function toPromptMessages(messages, args)
+    {
+        return messages.map(message =>
+        {
+            let content = message.content;
+            if (typeof content === 'string')
+            {
+                content = { type: "text", text: content };
+            }
+            if (args && content && content.type === 'text' && typeof content.text === 'string')
+            {
+                content = Object.assign({}, content, { text: fillPromptTemplate(content.text, args) });
+            }
+            return { role: message.role || "user", content: content };
+        });
+    }
+
+    // Content block types of tool results, with the field each one must carry
+    const CONTENT_BLOCK_FIELDS = { text: 'text', image: 'data', audio: 'data', resource: 'resource', resource_link: 'uri' };
+
+    function isContentBlock(value)
+    {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value) &&
+            CONTENT_BLOCK_FIELDS[value.type] !== undefined && value[CONTENT_BLOCK_FIELDS[value.type]] !== undefined;
+    }
+
+    // Binary data in content blocks may be given as Buffers; on the wire it is base64
+    function encodeContentBlock(block)
+    {
+        if (Buffer.isBuffer(block.data))
+        {
+            block = Object.assign({}, block, { data: block.data.toString('base64') });
+        }
+        if (block.resource && Buffer.isBuffer(block.resource.blob))
+        {
+            block = Object.assign({}, block, { resource: Object.assign({}, block.resource, { blob: block.resource.blob.toString('base64') }) });
+        }
+        return block;
+    }
+
+    // Turn whatever a tool flow replied with into a CallToolResult
+    function toCallToolResult(value, mimeType, toolName)
+    {
+        if (value && typeof value === 'object' && Array.isArray(value.content))
+        {
+            return Object.assign({}, value, { content: value.content.map(encodeContentBlock) });
+        }
+
+        if (value === undefined || value === null)
+        {
+            return { content: [] };
+        }
+        if (typeof value === 'string')
+        {
+            return { content: [{ type: "text", text: value }] };
+        }
+        if (value instanceof Error)
+        {
+            return { content: [{ type: "text", text: value.message }], isError: true };
+        }
+        if (Buffer.isBuffer(value))
+        {
+            const type = mimeType || 'application/octet-stream';
+            const kind = type.split('/')[0];
+            if (kind === 'image' || kind === 'audio')
+            {
+                return { content: [{ type: kind, data: value.toString('base64'), mimeType: type }] };
+            }
+            return {
+                content: [{
+                    type: "resource",
+                    resource: { uri: `tool://${toolName}/result`, mimeType: type, blob: value.toString('base64') }
+                }]
+            };
+        }
+        if (isContentBlock(value))
+        {
+            return { content: [encodeContentBlock(value)] };
+        }
+        if (Array.isArray(value) && value.length > 0 && value.every(isContentBlock))
+        {
+            return { content: value.map(encodeContentBlock) };
+        }
+        if (typeof value === 'object' && !Array.isArray(value))
+        {
+            // Structured results keep a serialized copy for clients that only read text content
+            return { content: [{ type: "text", text: JSON.stringify(value) }], structuredContent: value };
+        }
+        return { content: [{ type: "text", text: typeof value === 'object' ? JSON.stringify(value) : String(value) }] };
+    }
+
+    // Mount path on Node-RED's HTTP server: leading slash, no trailing slash, "" for the root
+    function normalizeMountPath(path)
+    {
+        const trimmed = String(path === undefined ? "/mcp-server" : path).trim().replace(/^\/+|\/+$/g, "");
+        return trimmed ? `/${trimmed}` : "";
+    }
+
+    // Parse "identity:secret" entries separated by commas or newlines; entries without an identity get a numbered one
+    function parseAuthSecrets(text)
+    {
+        return String(text || '')
+            .split(/[\n,]/)
+            .map(entry => entry.trim())
+            .filter(entry => entry)
+            .map((entry, index) =>
+            {
+                const separator = entry.indexOf(':');
+                return separator > 0
+                    ? { identity: entry.slice(0, separator).trim(), secret: entry.slice(separator + 1).trim() }
+                    : { identity: `client-${index + 1}`, secret: entry };
+            });
+    }
+
+    // Constant-time comparison of two secrets
+    function secretsMatch(given, expected)
+    {
+        const a = crypto.createHash('sha256').update(String(given)).digest();
+        const b = crypto.createHash('sha256').update(String(expected)).digest();
+        return crypto.timingSafeEqual(a, b);
+    }
+
+    // Sessions may only be used by the identity that created them
+    function sessionOwnedBy(session, auth)
+    {
+        const owner = session.auth ? session.auth.identity : null;
+        return owner === (auth ? auth.identity : null);
+    }
+
+    // JSON-RPC requests carry an id; notifications and responses to server requests do not need an answer
+    function isJsonRpcRequest(message)
+    {
+        return Boolean(message) && typeof message.method === 'string' &&
+            message.id !== undefined && message.id !== null;
+    }
+
+    // Methods counted under their own name in metrics; others are counted as "other"
+    const METRIC_METHODS = new Set([
+        'initialize', 'ping', 'tools/list', 'tools/call', 'resources/list', 'resources/templates/list', 'resources/read',
+        'resources/subscribe', 'resources/unsubscribe', 'prompts/list', 'prompts/get',
+        'notifications/initialized', 'notifications/cancelled'
+    ]);
+
+    // Outcome of a handled message, for the audit log and metrics
+    function messageOutcome(request, response, error)
+    {
+        if (error)
+        {
+            return { outcome: "error", error: { code: -32603, message: error.message } };
+        }
+        if (response && response.error)
+        {
+            return { outcome: "error", error: { code: response.error.code, message: response.error.message } };
+        }
+        if (response && response.result && response.result.isError)
+        {
+            const text = (response.result.content || []).find(block => block && block.type === 'text');
+            return { outcome: "tool_error", error: { code: null, message: text ? text.text : null } };
+        }
+        if (!isJsonRpcRequest(request))
+        {
+            return { outcome: "notification", error: null };
+        }
+        // Requests cancelled by the client get no response
+        return { outcome: response ? "success" : "cancelled", error: null };
+    }
+
+    // Why a message is not a valid JSON-RPC 2.0 request, notification or response; null when it is
+    function invalidMessageReason(message)
+    {
+        if (!message || typeof message !== 'object' || Array.isArray(message))
+        {
+            return "message must be a JSON object";
+        }
+        if (message.jsonrpc !== "2.0")
+        {
+            return 'jsonrpc must be "2.0"';
+        }
+        if (message.id !== undefined && typeof message.id !== 'string' && typeof message.id !== 'number')
+        {
+            return "id must be a string or a number";
+        }
+        if (message.method === undefined)
+        {
+            // Responses to server-to-client requests
+            return message.id !== undefined && (message.result !== undefined || message.error !== undefined)
+                ? null
+                : "method is required";
+        }
+        if (typeof message.method !== 'string')
+        {
+            return "method must be a string";
+        }
+        if (message.params !== undefined && (message.params === null || typeof message.params !== 'object'))
+        {
+            return "params must be an object";
+        }
+        return null;
+    }
+
+    // Token buckets refill continuously at `limit` tokens per minute, up to `burst` tokens
+    function bucketTokens(bucket, limit, burst, now)
+    {
+        return Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * limit / 60000);
+    }
+
+    function refillBucket(bucket, limit, burst, now)
+    {
+        bucket.tokens = bucketTokens(bucket, limit, burst, now);
+        bucket.updatedAt = now;
+    }
+
+    // Milliseconds until the bucket holds a whole token again
+    function bucketWait(bucket, limit)
+    {
+        return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * 60000 / limit);
+    }
+
+    function invalidRequestResponse(message, reason)
+    {
+        const id = message && (typeof message.id === 'string' || typeof message.id === 'number') ? message.id : null;
+        return {
+            jsonrpc: "2.0",
+            id: id,
+            error: {
+                code: -32600,
+                message: `Invalid Request: ${reason}`
+            }
+        };
+    }
+
     function MCPFlowServerNode(config)
     {
         RED.nodes.createNode(this, config);
@@ -19,14 +428,69 @@ module.exports = function (RED)
         // Configuration
         node.serverName = config.serverName || "node-red-mcp-server";
         node.serverPort = config.serverPort || 8001;
+        node.listenMode = config.listenMode === "node" ? "node" : "port";
+        node.mountPath = normalizeMountPath(config.mountPath);
         node.autoStart = config.autoStart || false;
         node.enableCors = config.enableCors || true;
+        node.streamResponses = config.streamResponses === true;
+        node.executionTimeout = parseInt(config.executionTimeout, 10) || 30000;
+        node.maxConcurrency = parseInt(config.maxConcurrency, 10) || 0;
+        node.maxQueue = config.maxQueue === undefined || config.maxQueue === "" ? 100 : parseInt(config.maxQueue, 10) || 0;
+        node.rateLimit = parseInt(config.rateLimit, 10) || 0;
+        node.rateBurst = parseInt(config.rateBurst, 10) || node.rateLimit;
+        node.rateLimitBy = config.rateLimitBy || "auto";
+        node.authType = config.authType || "none";
+        node.apiKeyHeader = config.apiKeyHeader || "X-API-Key";
+        node.authSecrets = parseAuthSecrets(node.credentials && node.credentials.authSecrets);
+        node.oauthJwks = config.oauthJwks || "";
+        node.oauthIssuer = config.oauthIssuer || "";
+        node.oauthAudience = config.oauthAudience || "";
+        node.oauthAuthorizationServer = config.oauthAuthorizationServer || node.oauthIssuer;
+        node.oauthResource = config.oauthResource || "";
+        node.oauthRequiredScopes = (config.oauthRequiredScopes || "").split(/[\s,]+/).filter(scope => scope);
+        node.jwksKeyStore = node.authType === 'oauth' && node.oauthJwks ? createJwksKeyStore(node.oauthJwks) : null;
+        node.auditEnabled = config.auditEnabled === true;
+        node.auditRedact = new Set((config.auditRedact === undefined ? "password, secret, token, apiKey, authorization" : config.auditRedact)
+            .split(/[\s,]+/).filter(field => field).map(field => field.toLowerCase()));
+        node.auditFile = node.auditEnabled && config.auditFile
+            ? createAuditFile(path.resolve(RED.settings.userDir || process.cwd(), config.auditFile), {
+                maxSize: (parseFloat(config.auditMaxSize) || 10) * 1024 * 1024,
+                maxFiles: config.auditMaxFiles === undefined || config.auditMaxFiles === "" ? 5 : parseInt(config.auditMaxFiles, 10) || 0
+            })
+            : null;
+        node.useTls = node.listenMode === "port" && config.useTls === true;
+        node.tlsConfig = node.useTls ? RED.nodes.getNode(config.tls) : null;
+        node.requireClientCert = node.useTls && config.requireClientCert === true;
 
         // Runtime state
         node.httpServer = null;
         node.app = null;
         node.isRunning = false;
         node.serverId = uuidv4();
+        node.sessions = new Map();
+        node.sessionSweepTimer = null;
+        node.pendingExecutions = new Map();
+        node.endedExecutions = new Map();
+        node.activeExecutions = new Map();
+        node.activeExecutionCount = 0;
+        node.executionQueue = [];
+        node.rateLimitClients = new Map();
+
+        // Prometheus metrics, served on /metrics and through the admin endpoint
+        node.metrics = createMetricsRegistry();
+        const requestsTotal = node.metrics.counter('mcp_requests_total', 'JSON-RPC messages handled, by method and outcome');
+        const errorsTotal = node.metrics.counter('mcp_errors_total', 'JSON-RPC error responses, by method and error code');
+        const toolCallsTotal = node.metrics.counter('mcp_tool_calls_total', 'Tool calls, by tool and outcome');
+        const authFailuresTotal = node.metrics.counter('mcp_auth_failures_total', 'Requests rejected with 401 or 403, by reason');
+        const toolCallDuration = node.metrics.histogram('mcp_tool_call_duration_seconds', 'Tool call latency including time spent queued, by tool');
+        node.metrics.gauge('mcp_sessions_active', 'Open sessions, by transport', () =>
+            ['streamable-http', 'sse'].map(transport => ({
+                labels: { transport: transport },
+                value: Array.from(node.sessions.values()).filter(session => session.transport === transport).length
+            })));
+        node.metrics.gauge('mcp_executions_active', 'Tool calls currently running', () => node.activeExecutionCount);
+        node.metrics.gauge('mcp_executions_queued', 'Tool calls waiting for a free slot', () => node.executionQueue.length);
+        node.metrics.gauge('mcp_tools', 'Tools served by this server', () => toolsForServer(node.id).length);
 
         // Set initial status
         node.status({ fill: "grey", shape: "ring", text: "stopped" });
@@ -36,14 +500,18 @@ module.exports = function (RED)
         {
             node.app = express();
 
+            // Mounted at "/" on Node-RED the app also sees every http-in request, so middleware stays on its own routes
+            const routes = ['/mcp', '/sse', '/messages', '/health', '/metrics', '/.well-known/oauth-protected-resource'];
+
             // Enable CORS if configured
             if (node.enableCors)
             {
-                node.app.use((req, res, next) =>
+                node.app.use(routes, (req, res, next) =>
                 {
                     res.header('Access-Control-Allow-Origin', '*');
-                    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-                    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+                    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+                    res.header('Access-Control-Allow-Headers', `Content-Type, Authorization, ${node.apiKeyHeader}, Accept, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID`);
+                    res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, WWW-Authenticate');
                     if (req.method === 'OPTIONS')
                     {
                         res.sendStatus(200);
@@ -54,8 +522,69 @@ module.exports = function (RED)
                 });
             }
 
+            // OAuth protected resource metadata (RFC 9728), pointing clients at the authorization server
+            node.app.get(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/mcp'], (req, res) =>
+            {
+                if (node.authType !== 'oauth')
+                {
+                    res.status(404).json({ error: "OAuth is not enabled on this server" });
+                    return;
+                }
+
+                const scopes = new Set(node.oauthRequiredScopes);
+                toolsForServer(node.id).forEach(tool => (tool.requiredScopes || []).forEach(scope => scopes.add(scope)));
+
+                res.json({
+                    resource: node.resourceIdentifier(req),
+                    authorization_servers: node.oauthAuthorizationServer ? [node.oauthAuthorizationServer] : [],
+                    bearer_methods_supported: ["header"],
+                    scopes_supported: Array.from(scopes),
+                    resource_name: node.serverName
+                });
+            });
+
+            // Authenticate MCP endpoints and metrics; /health stays open for monitoring
+            node.app.use(['/mcp', '/sse', '/messages', '/metrics'], async (req, res, next) =>
+            {
+                const certificate = node.clientCertificate(req);
+                if (node.authType === 'none')
+                {
+                    // A verified client certificate is the caller identity when nothing else authenticates
+                    if (certificate)
+                    {
+                        req.mcpAuth = { type: 'mtls', identity: certificate.commonName, certificate: certificate };
+                    }
+                    next();
+                    return;
+                }
+
+                const auth = await node.authenticate(req);
+                if (!auth)
+                {
+                    node.rejectUnauthorized(req, res);
+                    return;
+                }
+
+                if (auth.type === 'oauth')
+                {
+                    const missing = node.oauthRequiredScopes.filter(scope => !auth.scopes.includes(scope));
+                    if (missing.length > 0)
+                    {
+                        node.rejectInsufficientScope(req, res, node.oauthRequiredScopes);
+                        return;
+                    }
+                }
+
+                if (certificate)
+                {
+                    auth.certificate = certificate;
+                }
+                req.mcpAuth = auth;
+                next();
+            });
+
             // JSON parsing middleware
-            node.app.use(express.json({ limit: '10mb' }));
+            node.app.use(['/mcp', '/messages'], express.json({ limit: '10mb' }));
 
             // Health check endpoint
             node.app.get('/health', (req, res) =>
@@ -64,60 +593,156 @@ module.exports = function (RED)
                     status: 'healthy',
                     server: node.serverName,
                     uptime: process.uptime(),
-                    tools: Object.keys(toolRegistry.keys()).length
+                    tools: toolsForServer(node.id).length,
+                    resources: resourceRegistry.keys().length,
+                    prompts: promptRegistry.keys().length,
+                    sessions: node.sessions.size
                 });
             });
 
-            // MCP JSON-RPC endpoint
+            // Prometheus scrape endpoint; scrapers authenticate like MCP clients
+            node.app.get('/metrics', (req, res) =>
+            {
+                res.set('Content-Type', METRICS_CONTENT_TYPE);
+                res.send(node.metrics.render());
+            });
+
+            // MCP Streamable HTTP endpoint: client-to-server messages
             node.app.post('/mcp', async (req, res) =>
             {
+                const message = req.body;
+
+                // A single malformed message is rejected outright; batches answer each entry separately
+                const invalidReason = Array.isArray(message) ? null : invalidMessageReason(message);
+                if (invalidReason)
+                {
+                    const invalid = invalidRequestResponse(message, invalidReason);
+                    node.recordRejection(req, 400, invalid.error);
+                    res.status(400).json(invalid);
+                    return;
+                }
+                const messages = [].concat(message);
+
                 try
                 {
-                    const request = req.body;
-                    node.log(`MCP Request: ${JSON.stringify(request)}`);
+                    let session = null;
+                    const sessionId = req.get('Mcp-Session-Id');
 
-                    // Handle different MCP methods
-                    switch (request.method)
+                    if (message.method === 'initialize')
                     {
-                        case 'tools/list':
-                            node.handleToolsList(request, res);
-                            break;
-
-                        case 'tools/call':
-                            await node.handleToolCall(request, res);
-                            break;
-
-                        case 'initialize':
-                            node.handleInitialize(request, res);
-                            break;
-                        
-                        case 'notifications/initialized':
-                            node.handleInitialized(request, res);
-                            break;
-
-                        default:
-                            if (request.method && request.method.endsWith('_tool'))
-                            {
-                                // Direct tool call
-                                await node.handleDirectToolCall(request, res);
-                            } else
+                        session = node.createSession('streamable-http', req.mcpAuth);
+                        res.setHeader('Mcp-Session-Id', session.id);
+                    } else if (sessionId)
+                    {
+                        session = node.sessions.get(sessionId);
+                        if (!session || !sessionOwnedBy(session, req.mcpAuth))
+                        {
+                            const error = { code: -32001, message: "Session not found" };
+                            node.recordRejection(req, 404, error);
+                            res.status(404).json({
+                                jsonrpc: "2.0",
+                                id: message && message.id !== undefined ? message.id : null,
+                                error: error
+                            });
+                            return;
+                        }
+                        session.lastActivity = Date.now();
+                    }
+
+                    // After initialization clients name the negotiated revision in every request
+                    const headerVersion = req.get('Mcp-Protocol-Version');
+                    if (headerVersion && message.method !== 'initialize' &&
+                        (!SUPPORTED_PROTOCOL_VERSIONS.includes(headerVersion) ||
+                            (session && session.protocolVersion && session.protocolVersion !== headerVersion)))
+                    {
+                        const error = {
+                            code: -32600,
+                            message: `Unsupported protocol version: ${headerVersion}`,
+                            data: {
+                                supported: session && session.protocolVersion ? [session.protocolVersion] : SUPPORTED_PROTOCOL_VERSIONS
+                            }
+                        };
+                        node.recordRejection(req, 400, error);
+                        res.status(400).json({ jsonrpc: "2.0", id: null, error: error });
+                        return;
+                    }
+
+                    const context = {
+                        transport: 'streamable-http',
+                        session: session,
+                        auth: req.mcpAuth || null,
+                        remoteAddress: req.ip,
+                        connection: req.socket,
+                        notify: (notification) =>
+                        {
+                            if (session)
                             {
-                                res.json({
-                                    jsonrpc: "2.0",
-                                    id: request.id,
-                                    error: {
-                                        code: -32601,
-                                        message: `Method not found: ${request.method}`
-                                    }
-                                });
+                                node.sendToSession(session, notification);
                             }
+                        }
+                    };
+
+                    const missingScopes = node.missingToolScopes(message, req.mcpAuth);
+                    if (missingScopes.length > 0)
+                    {
+                        node.rejectInsufficientScope(req, res, missingScopes);
+                        return;
+                    }
+
+                    // Notifications and responses are accepted without a body
+                    if (messages.length > 0 && messages.every(item => !isJsonRpcRequest(item) && !invalidMessageReason(item)))
+                    {
+                        await node.processMessage(message, context);
+                        res.status(202).end();
+                        return;
+                    }
+
+                    // Requests that want progress are streamed too: progress belongs on the request's own stream,
+                    // not the session's GET stream, which the client may not have open
+                    const wantsProgress = messages.some(item => Boolean(item && item.params && item.params._meta &&
+                        item.params._meta.progressToken !== undefined));
+                    if ((node.streamResponses || wantsProgress) && acceptsEventStream(req))
+                    {
+                        // Answer on a dedicated stream so related notifications can precede the response
+                        openSseStream(res);
+                        context.notify = (notification) => writeSseEvent(res, notification, undefined, 'message');
+
+                        const response = await node.processMessage(message, context);
+                        if (message.method === 'initialize')
+                        {
+                            node.discardFailedSession(session, response);
+                        }
+                        if (response)
+                        {
+                            writeSseEvent(res, response, undefined, 'message');
+                        }
+                        res.end();
+                        return;
+                    }
+
+                    const response = await node.processMessage(message, context);
+                    if (message.method === 'initialize' && node.discardFailedSession(session, response))
+                    {
+                        res.removeHeader('Mcp-Session-Id');
+                    }
+                    if (!response)
+                    {
+                        // Cancelled requests are not answered
+                        res.status(202).end();
+                        return;
                     }
+                    res.json(response);
                 } catch (error)
                 {
                     node.error(`MCP request error: ${error.message}`);
+                    if (res.headersSent)
+                    {
+                        res.end();
+                        return;
+                    }
                     res.status(500).json({
                         jsonrpc: "2.0",
-                        id: req.body.id,
+                        id: message && message.id !== undefined ? message.id : null,
                         error: {
                             code: -32603,
                             message: "Internal error",
@@ -127,222 +752,1983 @@ module.exports = function (RED)
                 }
             });
 
-            // Server-Sent Events endpoint
-            node.app.get('/sse', (req, res) =>
+            // MCP Streamable HTTP endpoint: server-to-client stream for a session
+            node.app.get('/mcp', (req, res) =>
             {
-                res.writeHead(200, {
-                    'Content-Type': 'text/event-stream',
-                    'Cache-Control': 'no-cache',
-                    'Connection': 'keep-alive',
-                    'Access-Control-Allow-Origin': '*'
-                });
+                if (!acceptsEventStream(req))
+                {
+                    node.recordRejection(req, 406, { message: "Client must accept text/event-stream" });
+                    res.status(406).json({ error: "Client must accept text/event-stream" });
+                    return;
+                }
+
+                const session = node.getRequestSession(req, res);
+                if (!session)
+                {
+                    return;
+                }
+
+                // Only one standalone stream per session; a new GET replaces the old one
+                if (session.stream)
+                {
+                    session.stream.end();
+                }
+
+                openSseStream(res);
+                session.stream = res;
+                session.lastActivity = Date.now();
+
+                // Replay anything the client missed since its last seen event
+                const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+                if (!isNaN(lastEventId))
+                {
+                    session.eventLog
+                        .filter(entry => entry.id > lastEventId)
+                        .forEach(entry => writeSseEvent(res, entry.message, entry.id, 'message'));
+                }
+
+                const keepAlive = setInterval(() =>
+                {
+                    res.write(': keepalive\n\n');
+                }, 30000);
+
+                req.on('close', () =>
+                {
+                    clearInterval(keepAlive);
+                    if (session.stream === res)
+                    {
+                        session.stream = null;
+                        session.lastActivity = Date.now();
+                    }
+                });
+            });
+
+            // MCP Streamable HTTP endpoint: explicit session termination
+            node.app.delete('/mcp', (req, res) =>
+            {
+                const session = node.getRequestSession(req, res);
+                if (!session)
+                {
+                    return;
+                }
+
+                node.closeSession(session);
+                res.status(200).end();
+            });
+
+            // Legacy HTTP+SSE transport (protocol revision 2024-11-05): one session per stream
+            node.app.get('/sse', (req, res) =>
+            {
+                const session = node.createSession('sse', req.mcpAuth);
+
+                openSseStream(res);
+                session.stream = res;
+
+                // Tell the client where to POST its messages for this session
+                writeSseEvent(res, `${req.baseUrl}/messages?sessionId=${session.id}`, undefined, 'endpoint');
+
+                const keepAlive = setInterval(() =>
+                {
+                    res.write(': keepalive\n\n');
+                }, 30000);
+
+                req.on('close', () =>
+                {
+                    clearInterval(keepAlive);
+                    if (node.sessions.has(session.id))
+                    {
+                        session.stream = null;
+                        node.closeSession(session);
+                    }
+                });
+            });
+
+            // Legacy HTTP+SSE transport: client-to-server messages, answered on the session stream
+            node.app.post('/messages', async (req, res) =>
+            {
+                const session = node.sessions.get(req.query.sessionId);
+                if (!session || session.transport !== 'sse' || !sessionOwnedBy(session, req.mcpAuth))
+                {
+                    node.recordRejection(req, 404, { message: "Session not found" });
+                    res.status(404).json({ error: "Session not found" });
+                    return;
+                }
+
+                const message = req.body;
+                session.lastActivity = Date.now();
+
+                const invalidReason = Array.isArray(message) ? null : invalidMessageReason(message);
+                if (invalidReason)
+                {
+                    const invalid = invalidRequestResponse(message, invalidReason);
+                    node.recordRejection(req, 400, invalid.error);
+                    res.status(400).json(invalid);
+                    return;
+                }
+
+                const missingScopes = node.missingToolScopes(message, req.mcpAuth);
+                if (missingScopes.length > 0)
+                {
+                    node.rejectInsufficientScope(req, res, missingScopes);
+                    return;
+                }
+                res.status(202).send("Accepted");
+
+                const context = {
+                    transport: 'sse',
+                    session: session,
+                    auth: session.auth,
+                    remoteAddress: req.ip,
+                    notify: (notification) => node.sendToSession(session, notification)
+                };
+
+                try
+                {
+                    const response = await node.processMessage(message, context);
+                    if (response)
+                    {
+                        node.sendToSession(session, response);
+                    }
+                } catch (error)
+                {
+                    node.error(`MCP request error: ${error.message}`);
+                    if (isJsonRpcRequest(message))
+                    {
+                        node.sendToSession(session, {
+                            jsonrpc: "2.0",
+                            id: message.id,
+                            error: {
+                                code: -32603,
+                                message: "Internal error",
+                                data: error.message
+                            }
+                        });
+                    }
+                }
+            });
+
+            // Bodies that are not valid JSON never reach the routes above
+            node.app.use((error, req, res, next) =>
+            {
+                if (error.type !== 'entity.parse.failed')
+                {
+                    next(error);
+                    return;
+                }
+                const parseError = { code: -32700, message: "Parse error", data: error.message };
+                node.recordRejection(req, 400, parseError);
+                res.status(400).json({ jsonrpc: "2.0", id: null, error: parseError });
+            });
+        };
+
+        // A session created for an initialize request that failed is dropped again; returns true if it was
+        node.discardFailedSession = function (session, response)
+        {
+            if (!session || session.protocolVersion || !response || !response.error)
+            {
+                return false;
+            }
+            node.closeSession(session);
+            return true;
+        };
+
+        // Check the request credentials for the configured auth type; resolves with the caller identity or null
+        node.authenticate = async function (req)
+        {
+            let given = null;
+            switch (node.authType)
+            {
+                case 'oauth':
+                {
+                    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+                    if (!match)
+                    {
+                        return null;
+                    }
+                    req.mcpAuthError = 'invalid_token';
+                    if (!node.jwksKeyStore)
+                    {
+                        node.warn("OAuth is enabled but no JWKS file or URL is configured");
+                        return null;
+                    }
+                    if (!node.expectedAudience())
+                    {
+                        node.warn("OAuth is enabled but neither a resource nor an audience is configured");
+                        return null;
+                    }
+                    try
+                    {
+                        const claims = await verifyJwt(match[1].trim(), {
+                            keyStore: node.jwksKeyStore,
+                            issuer: node.oauthIssuer,
+                            audience: node.expectedAudience(),
+                            clockTolerance: 60
+                        });
+                        return {
+                            type: 'oauth',
+                            identity: claims.sub || claims.client_id || null,
+                            scopes: tokenScopes(claims),
+                            claims: claims
+                        };
+                    } catch (error)
+                    {
+                        node.log(`Rejected access token: ${error.message}`);
+                        return null;
+                    }
+                }
+
+                case 'bearer':
+                {
+                    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+                    given = match ? match[1].trim() : null;
+                    break;
+                }
+
+                case 'apikey':
+                    given = req.get(node.apiKeyHeader) || null;
+                    break;
+
+                case 'basic':
+                {
+                    const match = /^Basic\s+(.+)$/i.exec(req.get('Authorization') || '');
+                    if (!match)
+                    {
+                        return null;
+                    }
+                    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+                    const separator = decoded.indexOf(':');
+                    if (separator < 0)
+                    {
+                        return null;
+                    }
+                    const username = decoded.slice(0, separator);
+                    const password = decoded.slice(separator + 1);
+                    const user = node.authSecrets.find(entry => entry.identity === username);
+                    return user && secretsMatch(password, user.secret) ? { type: 'basic', identity: username } : null;
+                }
+
+                default:
+                    return null;
+            }
+
+            if (!given)
+            {
+                return null;
+            }
+            const entry = node.authSecrets.find(candidate => secretsMatch(given, candidate.secret));
+            return entry ? { type: node.authType, identity: entry.identity } : null;
+        };
+
+        // Subject of the verified client certificate on a mutual TLS connection, or null
+        node.clientCertificate = function (req)
+        {
+            const socket = req.socket;
+            if (!node.requireClientCert || !socket.authorized || typeof socket.getPeerCertificate !== 'function')
+            {
+                return null;
+            }
+            const certificate = socket.getPeerCertificate();
+            if (!certificate || !certificate.subject)
+            {
+                return null;
+            }
+            return {
+                commonName: certificate.subject.CN || null,
+                subject: Object.assign({}, certificate.subject),
+                issuer: Object.assign({}, certificate.issuer),
+                serialNumber: certificate.serialNumber,
+                fingerprint256: certificate.fingerprint256,
+                validTo: certificate.valid_to
+            };
+        };
+
+        // Key, certificate and CA from the TLS config node, plus the client certificate policy
+        node.tlsOptions = function ()
+        {
+            if (!node.tlsConfig || typeof node.tlsConfig.addTLSOptions !== 'function')
+            {
+                throw new Error("HTTPS is enabled but no TLS configuration is selected");
+            }
+            const options = {};
+            node.tlsConfig.addTLSOptions(options);
+            if (!options.key || !options.cert)
+            {
+                throw new Error("TLS configuration has no certificate or private key");
+            }
+            if (node.requireClientCert && !options.ca)
+            {
+                node.warn("Client certificates are required but the TLS configuration has no CA certificate; the system CAs are used");
+            }
+            options.requestCert = node.requireClientCert;
+            options.rejectUnauthorized = node.requireClientCert;
+            return options;
+        };
+
+        // Audience access tokens must be issued for; never taken from the request, so tokens for other services are refused
+        node.expectedAudience = function ()
+        {
+            return node.oauthAudience || node.oauthResource;
+        };
+
+        // Canonical URI of this MCP server, advertised in the resource metadata
+        node.resourceIdentifier = function (req)
+        {
+            return node.oauthResource || `${node.baseUrl(req)}/mcp`;
+        };
+
+        node.resourceMetadataUrl = function (req)
+        {
+            return `${node.baseUrl(req)}/.well-known/oauth-protected-resource`;
+        };
+
+        // Scheme, host and mount path the request reached this server under
+        node.baseUrl = function (req)
+        {
+            return `${req.protocol}://${req.get('host')}${req.mcpMountPath || ""}`;
+        };
+
+        // Scopes to request when the caller's token does not cover a tools/call; empty when the call is allowed
+        node.missingToolScopes = function (message, auth)
+        {
+            if (Array.isArray(message))
+            {
+                const scopes = [];
+                message.forEach(item => node.missingToolScopes(item, auth).forEach(scope =>
+                {
+                    if (!scopes.includes(scope))
+                    {
+                        scopes.push(scope);
+                    }
+                }));
+                return scopes;
+            }
+
+            if (!auth || auth.type !== 'oauth' || !message || typeof message.method !== 'string')
+            {
+                return [];
+            }
+
+            const name = message.method === 'tools/call'
+                ? (message.params || {}).name
+                : (message.method.endsWith('_tool') ? message.method : null);
+            const tool = name ? node.findTool(name) : null;
+            if (!tool || !Array.isArray(tool.requiredScopes))
+            {
+                return [];
+            }
+            const covered = tool.requiredScopes.every(scope => auth.scopes.includes(scope));
+            return covered ? [] : tool.requiredScopes;
+        };
+
+        // Answer a request whose token lacks scopes with 403 and an insufficient_scope challenge
+        node.rejectInsufficientScope = function (req, res, scopes)
+        {
+            authFailuresTotal.inc({ reason: "insufficient_scope" });
+            node.recordRejection(req, 403, { message: `Insufficient scope, requires: ${scopes.join(' ')}` });
+            res.setHeader('WWW-Authenticate',
+                `Bearer error="insufficient_scope", scope="${scopes.join(' ')}", resource_metadata="${node.resourceMetadataUrl(req)}"`);
+            res.status(403).json({ error: "insufficient_scope", scope: scopes.join(' ') });
+        };
+
+        // Answer an unauthenticated request with 401 and the matching challenge
+        node.rejectUnauthorized = function (req, res)
+        {
+            authFailuresTotal.inc({ reason: "unauthorized" });
+            node.recordRejection(req, 401, { message: req.mcpAuthError ? `Unauthorized: ${req.mcpAuthError}` : "Unauthorized" });
+            if (node.authType === 'oauth')
+            {
+                const error = req.mcpAuthError ? `, error="${req.mcpAuthError}"` : '';
+                res.setHeader('WWW-Authenticate', `Bearer resource_metadata="${node.resourceMetadataUrl(req)}"${error}`);
+            } else if (node.authType === 'bearer')
+            {
+                res.setHeader('WWW-Authenticate', `Bearer realm="${node.serverName}"`);
+            } else if (node.authType === 'basic')
+            {
+                res.setHeader('WWW-Authenticate', `Basic realm="${node.serverName}", charset="UTF-8"`);
+            }
+            res.status(401).json({ error: "Unauthorized" });
+        };
+
+        // Create a new MCP session for the given transport, owned by the authenticated caller
+        node.createSession = function (transport, auth)
+        {
+            const session = {
+                id: uuidv4(),
+                transport: transport,
+                auth: auth || null,
+                createdAt: Date.now(),
+                lastActivity: Date.now(),
+                protocolVersion: null,
+                clientInfo: null,
+                initialized: false,
+                stream: null,
+                eventCounter: 0,
+                eventLog: [],
+                subscriptions: new Set()
+            };
+            node.sessions.set(session.id, session);
+            node.log(`MCP session ${session.id} created (${transport})`);
+            return session;
+        };
+
+        // Close a session and its stream, if any
+        node.closeSession = function (session)
+        {
+            if (session.stream)
+            {
+                session.stream.end();
+                session.stream = null;
+            }
+            node.sessions.delete(session.id);
+            node.log(`MCP session ${session.id} closed`);
+        };
+
+        // Resolve the session named by the Mcp-Session-Id header, answering with an error if it is missing or unknown
+        node.getRequestSession = function (req, res)
+        {
+            const sessionId = req.get('Mcp-Session-Id');
+            if (!sessionId)
+            {
+                node.recordRejection(req, 400, { message: "Missing Mcp-Session-Id header" });
+                res.status(400).json({ error: "Missing Mcp-Session-Id header" });
+                return null;
+            }
+
+            const session = node.sessions.get(sessionId);
+            if (!session || !sessionOwnedBy(session, req.mcpAuth))
+            {
+                node.recordRejection(req, 404, { message: "Session not found" });
+                res.status(404).json({ error: "Session not found" });
+                return null;
+            }
+            return session;
+        };
+
+        // Deliver a server-to-client message on the session stream, buffering it for replay
+        node.sendToSession = function (session, message)
+        {
+            const eventId = ++session.eventCounter;
+            session.eventLog.push({ id: eventId, message: message });
+            if (session.eventLog.length > SESSION_EVENT_BUFFER)
+            {
+                session.eventLog.shift();
+            }
+
+            if (session.stream)
+            {
+                writeSseEvent(session.stream, message, eventId, 'message');
+                return true;
+            }
+            return false;
+        };
+
+        // Drop idle sessions that no longer have a stream attached
+        node.sweepSessions = function ()
+        {
+            const cutoff = Date.now() - SESSION_IDLE_TIMEOUT;
+            node.sessions.forEach(session =>
+            {
+                if (!session.stream && session.lastActivity < cutoff)
+                {
+                    node.closeSession(session);
+                }
+            });
+
+            const rateCutoff = Date.now() - RATE_LIMIT_IDLE_TIMEOUT;
+            node.rateLimitClients.forEach((client, key) =>
+            {
+                if (client.lastSeen < rateCutoff)
+                {
+                    node.rateLimitClients.delete(key);
+                }
+            });
+        };
+
+        // Dispatch a single message or a batch; resolves with what to send back, or null when nothing is answered
+        node.processMessage = function (message, context)
+        {
+            return Array.isArray(message) ? node.handleBatch(message, context) : node.handleMessage(message, context);
+        };
+
+        // Handle a JSON-RPC batch: every entry is processed, and the responses are returned as an array
+        node.handleBatch = async function (messages, context)
+        {
+            if (messages.length === 0)
+            {
+                return invalidRequestResponse(null, "empty batch");
+            }
+
+            const responses = await Promise.all(messages.map(message =>
+            {
+                if (message && message.method === 'initialize')
+                {
+                    return invalidRequestResponse(message, "initialize must not be part of a batch");
+                }
+                return node.handleMessage(message, context).catch(error =>
+                {
+                    node.error(`MCP request error: ${error.message}`);
+                    return isJsonRpcRequest(message) ? {
+                        jsonrpc: "2.0",
+                        id: message.id,
+                        error: {
+                            code: -32603,
+                            message: "Internal error",
+                            data: error.message
+                        }
+                    } : null;
+                });
+            }));
+
+            const answered = responses.filter(response => response);
+            return answered.length > 0 ? answered : null;
+        };
+
+        // Dispatch a single JSON-RPC message and return the response to send, or null for notifications
+        node.handleMessage = async function (request, context)
+        {
+            // Filled in while the message is handled, for the audit log and metrics
+            const trace = { startTime: Date.now(), executionId: null };
+
+            const invalidReason = invalidMessageReason(request);
+            if (invalidReason)
+            {
+                const invalid = invalidRequestResponse(request, invalidReason);
+                node.recordHandled(request, context, trace, invalid);
+                return invalid;
+            }
+
+            let response;
+            try
+            {
+                response = await node.routeMessage(request, Object.assign({}, context, { trace: trace }));
+            } catch (error)
+            {
+                node.recordHandled(request, context, trace, null, error);
+                throw error;
+            }
+            node.recordHandled(request, context, trace, response);
+
+            // Notifications are never answered, whatever their method
+            return isJsonRpcRequest(request) ? response : null;
+        };
+
+        node.recordHandled = function (request, context, trace, response, error)
+        {
+            const outcome = messageOutcome(request, response, error);
+            node.recordMetrics(request, trace, outcome);
+            node.recordAudit(request, context, trace, outcome);
+        };
+
+        // Count a handled message; tool calls are also timed per tool
+        node.recordMetrics = function (request, trace, outcome)
+        {
+            const method = request && typeof request.method === 'string' ? request.method : null;
+            const directCall = Boolean(method && method.endsWith('_tool'));
+            // Method and tool labels are limited to known values so clients cannot create series at will
+            const methodLabel = METRIC_METHODS.has(method) ? method : directCall ? "direct_tool" : "other";
+
+            requestsTotal.inc({ method: methodLabel, outcome: outcome.outcome });
+            if (outcome.outcome === "error")
+            {
+                errorsTotal.inc({ method: methodLabel, code: outcome.error.code });
+            }
+
+            const toolName = method === 'tools/call' && request.params ? request.params.name : directCall ? method : null;
+            if (toolName && node.findTool(toolName))
+            {
+                toolCallsTotal.inc({ tool: toolName, outcome: outcome.outcome });
+                toolCallDuration.observe({ tool: toolName }, (Date.now() - trace.startTime) / 1000);
+            }
+        };
+
+        // Send one audit entry for a handled message to the second output and the audit file
+        node.recordAudit = function (request, context, trace, outcome)
+        {
+            if (!node.auditEnabled)
+            {
+                return;
+            }
+
+            const message = request && typeof request === 'object' ? request : {};
+            const method = typeof message.method === 'string' ? message.method : null;
+            const params = message.params && typeof message.params === 'object' ? message.params : {};
+            const directCall = Boolean(method && method.endsWith('_tool'));
+            const auth = context ? context.auth : null;
+
+            let args = null;
+            if (method === 'tools/call' || method === 'prompts/get')
+            {
+                args = params.arguments || null;
+            } else if (directCall)
+            {
+                args = Object.assign({}, params);
+                delete args._meta;
+            }
+
+            const entry = Object.assign({
+                timestamp: new Date(trace.startTime).toISOString(),
+                serverId: node.serverId,
+                serverName: node.serverName,
+                transport: context ? context.transport : null,
+                sessionId: context && context.session ? context.session.id : null,
+                remoteAddress: (context && context.remoteAddress) || null,
+                identity: auth ? auth.identity : null,
+                authType: auth ? auth.type : null,
+                requestId: message.id === undefined ? null : message.id,
+                method: method,
+                tool: method === 'tools/call' ? params.name || null : directCall ? method : null,
+                resource: method === 'resources/read' ? params.uri || null : null,
+                prompt: method === 'prompts/get' ? params.name || null : null,
+                arguments: args ? redactFields(args, node.auditRedact) : null,
+                executionId: trace.executionId,
+                durationMs: Date.now() - trace.startTime,
+                status: null
+            }, outcome);
+
+            node.send([null, { topic: "mcp-audit", payload: entry }]);
+
+            if (node.auditFile)
+            {
+                node.auditFile.write(entry).catch(writeError =>
+                {
+                    node.warn(`Failed to write audit log: ${writeError.message}`);
+                });
+            }
+        };
+
+        // Audit entry for an HTTP request turned away before any message in it was handled
+        node.recordRejection = function (req, status, error)
+        {
+            const path = `${req.baseUrl}${req.path}`.replace(/\/$/, '');
+            const sessionId = req.get('Mcp-Session-Id') || (req.query && req.query.sessionId) || null;
+            const context = {
+                transport: /\/(sse|messages)$/.test(path) ? 'sse' : 'streamable-http',
+                session: sessionId ? { id: String(sessionId) } : null,
+                auth: req.mcpAuth || null,
+                remoteAddress: req.ip
+            };
+            node.recordAudit(req.body, context, { startTime: Date.now(), executionId: null }, {
+                outcome: "rejected",
+                status: status,
+                error: { code: error.code === undefined ? null : error.code, message: error.message }
+            });
+        };
+
+        node.routeMessage = async function (request, context)
+        {
+            // Executions started for this request are tracked by its id so they can be cancelled,
+            // and report progress under the token the client sent in _meta
+            const meta = request.params && request.params._meta;
+            context = Object.assign({}, context, {
+                requestId: request.id,
+                progressToken: meta ? meta.progressToken : undefined
+            });
+
+            switch (request.method)
+            {
+                case 'tools/list':
+                    return node.handleToolsList(request, context);
+
+                case 'tools/call':
+                    return await node.handleToolCall(request, context);
+
+                case 'resources/list':
+                    return node.handleResourcesList(request, context);
+
+                case 'resources/templates/list':
+                    return node.handleResourceTemplatesList(request, context);
+
+                case 'resources/read':
+                    return await node.handleResourceRead(request, context);
+
+                case 'resources/subscribe':
+                    return node.handleResourceSubscribe(request, context);
+
+                case 'resources/unsubscribe':
+                    return node.handleResourceUnsubscribe(request, context);
+
+                case 'prompts/list':
+                    return node.handlePromptsList(request, context);
+
+                case 'prompts/get':
+                    return await node.handlePromptGet(request, context);
+
+                case 'initialize':
+                    return node.handleInitialize(request, context);
+
+                case 'ping':
+                    return { jsonrpc: "2.0", id: request.id, result: {} };
+
+                case 'notifications/initialized':
+                    node.handleInitialized(request, context);
+                    return null;
+
+                case 'notifications/cancelled':
+                    node.handleCancelled(request, context);
+                    return null;
+
+                default:
+                    if (request.method && request.method.endsWith('_tool'))
+                    {
+                        // Direct tool call
+                        return await node.handleDirectToolCall(request, context);
+                    }
+
+                    if (!isJsonRpcRequest(request))
+                    {
+                        // Unknown notifications and responses are ignored
+                        return null;
+                    }
+
+                    return {
+                        jsonrpc: "2.0",
+                        id: request.id,
+                        error: {
+                            code: -32601,
+                            message: `Method not found: ${request.method}`
+                        }
+                    };
+            }
+        };
+
+        // Response for a failed flow execution; cancelled requests get no response
+        node.executionErrorResponse = function (request, error)
+        {
+            if (error.cancelled)
+            {
+                return null;
+            }
+
+            const response = {
+                jsonrpc: "2.0",
+                id: request.id,
+                error: {
+                    code: typeof error.code === 'number' ? error.code : -32603,
+                    message: error.message
+                }
+            };
+            if (error.data)
+            {
+                response.error.data = error.data;
+            }
+            return response;
+        };
+
+        // Handle tools/list method
+        node.handleToolsList = function (request, context)
+        {
+            return {
+                jsonrpc: "2.0",
+                id: request.id,
+                result: { tools: node.listTools() }
+            };
+        };
+
+        // Tool definitions as published to clients
+        node.listTools = function ()
+        {
+            return toolsForServer(node.id).map(tool =>
+            {
+                const listed = {
+                    name: tool.name,
+                    description: tool.description,
+                    inputSchema: tool.inputSchema
+                };
+                if (tool.outputSchema)
+                {
+                    listed.outputSchema = tool.outputSchema;
+                }
+                return listed;
+            });
+        };
+
+        // Fingerprint of the published tool list, to tell whether a registry change affects this server
+        node.toolListSignature = function ()
+        {
+            return JSON.stringify(node.listTools().sort((a, b) => a.name.localeCompare(b.name)));
+        };
+
+        node.publishedTools = node.toolListSignature();
+        node.toolListTimer = null;
+
+        // Tell initialized sessions to re-fetch tools/list once the tools this server exposes have changed
+        node.onToolRegistryChanged = function ()
+        {
+            clearTimeout(node.toolListTimer);
+            node.toolListTimer = setTimeout(() =>
+            {
+                node.toolListTimer = null;
+                const signature = node.toolListSignature();
+                if (signature === node.publishedTools)
+                {
+                    return;
+                }
+                node.publishedTools = signature;
+
+                node.sessions.forEach(session =>
+                {
+                    if (session.initialized)
+                    {
+                        node.sendToSession(session, {
+                            jsonrpc: "2.0",
+                            method: "notifications/tools/list_changed"
+                        });
+                    }
+                });
+            }, TOOL_LIST_CHANGE_DELAY);
+        };
+
+        RED.events.on('mcp-tool-register', node.onToolRegistryChanged);
+        RED.events.on('mcp-tool-unregister', node.onToolRegistryChanged);
+
+        // Look up a tool served by this server by name
+        node.findTool = function (name)
+        {
+            return toolsForServer(node.id).find(tool => tool.name === name);
+        };
+
+        // Handle tools/call method
+        node.handleToolCall = async function (request, context)
+        {
+            const { name, arguments: args } = request.params || {};
+            const tool = node.findTool(name);
+
+            if (!tool)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32602,
+                        message: `Tool not found: ${name}`
+                    }
+                };
+            }
+
+            const violations = validateToolArguments(tool, args);
+            if (violations.length > 0)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32602,
+                        message: `Invalid arguments for tool ${name}: ${violations.join('; ')}`,
+                        data: { violations: violations }
+                    }
+                };
+            }
+
+            return node.callTool(request, tool, args, context);
+        };
+
+        // Handle direct tool calls (method ends with _tool)
+        node.handleDirectToolCall = async function (request, context)
+        {
+            const toolName = request.method;
+            const tool = node.findTool(toolName);
+
+            // Direct calls carry the arguments as params; _meta is not one of them
+            const args = Object.assign({}, request.params);
+            delete args._meta;
+
+            if (!tool)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32602,
+                        message: `Tool not found: ${toolName}`
+                    }
+                };
+            }
+
+            const violations = validateToolArguments(tool, args);
+            if (violations.length > 0)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32602,
+                        message: `Invalid arguments for tool ${toolName}: ${violations.join('; ')}`,
+                        data: { violations: violations }
+                    }
+                };
+            }
+
+            return node.callTool(request, tool, args, context);
+        };
+
+        // Run a validated tool call and answer with a CallToolResult
+        node.callTool = async function (request, tool, args, context)
+        {
+            const limited = node.checkRateLimit(tool, context);
+            if (limited)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: RATE_LIMITED_ERROR,
+                        message: `Rate limit exceeded for ${limited.scope === 'tool' ? `tool ${tool.name}` : 'this server'}; retry in ${limited.retryAfter}s`,
+                        data: limited
+                    }
+                };
+            }
+
+            let result;
+            try
+            {
+                const reply = await node.executeToolFlow(tool, args, context);
+                result = toCallToolResult(reply.result, reply.mimeType, tool.name);
+            } catch (error)
+            {
+                if (!error.fromFlow)
+                {
+                    return node.executionErrorResponse(request, error);
+                }
+                // Failures reported by the flow are tool errors the model can see, not protocol errors
+                result = toCallToolResult(error);
+            }
+
+            if (tool.outputSchema && !result.isError)
+            {
+                const violations = result.structuredContent === undefined
+                    ? ['structuredContent is required by the outputSchema']
+                    : validateToolOutput(tool, result.structuredContent);
+                if (violations.length > 0)
+                {
+                    return {
+                        jsonrpc: "2.0",
+                        id: request.id,
+                        error: {
+                            code: -32603,
+                            message: `Invalid result from tool ${tool.name}: ${violations.join('; ')}`,
+                            data: { violations: violations }
+                        }
+                    };
+                }
+            }
+
+            return {
+                jsonrpc: "2.0",
+                id: request.id,
+                result: result
+            };
+        };
+
+        // Handle resources/list method (concrete URIs only)
+        node.handleResourcesList = function (request, context)
+        {
+            const resources = [];
+            resourceRegistry.keys().forEach(key =>
+            {
+                const resource = resourceRegistry.get(key);
+                if (resource && !resource.isTemplate)
+                {
+                    resources.push({
+                        uri: resource.uri,
+                        name: resource.name,
+                        description: resource.description || undefined,
+                        mimeType: resource.mimeType
+                    });
+                }
+            });
+
+            return {
+                jsonrpc: "2.0",
+                id: request.id,
+                result: { resources: resources }
+            };
+        };
+
+        // Handle resources/templates/list method
+        node.handleResourceTemplatesList = function (request, context)
+        {
+            const resourceTemplates = [];
+            resourceRegistry.keys().forEach(key =>
+            {
+                const resource = resourceRegistry.get(key);
+                if (resource && resource.isTemplate)
+                {
+                    resourceTemplates.push({
+                        uriTemplate: resource.uri,
+                        name: resource.name,
+                        description: resource.description || undefined,
+                        mimeType: resource.mimeType
+                    });
+                }
+            });
+
+            return {
+                jsonrpc: "2.0",
+                id: request.id,
+                result: { resourceTemplates: resourceTemplates }
+            };
+        };
+
+        // Find the registered resource serving a URI, preferring exact matches over templates
+        node.findResource = function (uri)
+        {
+            const exact = resourceRegistry.get(uri);
+            if (exact && !exact.isTemplate)
+            {
+                return { resource: exact, variables: {} };
+            }
+
+            for (const key of resourceRegistry.keys())
+            {
+                const resource = resourceRegistry.get(key);
+                if (resource && resource.isTemplate)
+                {
+                    const variables = matchUriTemplate(resource.uri, uri);
+                    if (variables)
+                    {
+                        return { resource: resource, variables: variables };
+                    }
+                }
+            }
+            return null;
+        };
+
+        // Handle resources/read method
+        node.handleResourceRead = async function (request, context)
+        {
+            const uri = request.params && request.params.uri;
+            const found = uri ? node.findResource(uri) : null;
+
+            if (!found)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32002,
+                        message: "Resource not found",
+                        data: { uri: uri }
+                    }
+                };
+            }
+
+            const { resource, variables } = found;
+
+            if (resource.staticContent !== null && resource.staticContent !== undefined)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    result: {
+                        contents: [{ uri: uri, mimeType: resource.mimeType, text: resource.staticContent }]
+                    }
+                };
+            }
+
+            const target = RED.nodes.getNode(resource.registeredBy);
+            if (!target)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32603,
+                        message: `No flow serves resource: ${uri}`
+                    }
+                };
+            }
+
+            try
+            {
+                const reply = await node.dispatchToFlow(target, 'mcp-resource-read', {
+                    uri: uri,
+                    resourceUri: resource.uri,
+                    variables: variables,
+                    mimeType: resource.mimeType
+                }, 'Resource read', context);
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    result: { contents: node.toResourceContents(uri, reply.mimeType || resource.mimeType, reply.result) }
+                };
+            } catch (error)
+            {
+                return node.executionErrorResponse(request, error);
+            }
+        };
+
+        // Turn the payload replied by a flow into a ResourceContents array
+        node.toResourceContents = function (uri, mimeType, content)
+        {
+            if (content && Array.isArray(content.contents))
+            {
+                return content.contents.map(item => Object.assign({ uri: uri, mimeType: mimeType }, item));
+            }
+
+            if (Buffer.isBuffer(content))
+            {
+                return [{ uri: uri, mimeType: mimeType, blob: content.toString('base64') }];
+            }
+            if (typeof content === 'string')
+            {
+                return [{ uri: uri, mimeType: mimeType, text: content }];
+            }
+            return [{ uri: uri, mimeType: 'application/json', text: JSON.stringify(content) }];
+        };
+
+        // Handle resources/subscribe method
+        node.handleResourceSubscribe = function (request, context)
+        {
+            const uri = request.params && request.params.uri;
+
+            if (!context.session)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32600,
+                        message: "Subscriptions require a session"
+                    }
+                };
+            }
+
+            if (!uri || !node.findResource(uri))
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32002,
+                        message: "Resource not found",
+                        data: { uri: uri }
+                    }
+                };
+            }
+
+            context.session.subscriptions.add(uri);
+            return { jsonrpc: "2.0", id: request.id, result: {} };
+        };
+
+        // Handle resources/unsubscribe method
+        node.handleResourceUnsubscribe = function (request, context)
+        {
+            if (context.session && request.params)
+            {
+                context.session.subscriptions.delete(request.params.uri);
+            }
+            return { jsonrpc: "2.0", id: request.id, result: {} };
+        };
+
+        // Push notifications/resources/updated to every session subscribed to the URI
+        node.onResourceUpdated = function (uri)
+        {
+            node.sessions.forEach(session =>
+            {
+                if (session.subscriptions.has(uri))
+                {
+                    node.sendToSession(session, {
+                        jsonrpc: "2.0",
+                        method: "notifications/resources/updated",
+                        params: { uri: uri }
+                    });
+                }
+            });
+        };
+
+        RED.events.on('mcp-resource-updated', node.onResourceUpdated);
+
+        // Handle prompts/list method
+        node.handlePromptsList = function (request, context)
+        {
+            const prompts = [];
+            promptRegistry.keys().forEach(key =>
+            {
+                const prompt = promptRegistry.get(key);
+                if (prompt)
+                {
+                    prompts.push({
+                        name: prompt.name,
+                        description: prompt.description,
+                        arguments: prompt.arguments
+                    });
+                }
+            });
+
+            return {
+                jsonrpc: "2.0",
+                id: request.id,
+                result: { prompts: prompts }
+            };
+        };
+
+        // Handle prompts/get method
+        node.handlePromptGet = async function (request, context)
+        {
+            const { name, arguments: args = {} } = request.params || {};
+            const prompt = promptRegistry.get(name);
+
+            if (!prompt)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32602,
+                        message: `Prompt not found: ${name}`
+                    }
+                };
+            }
+
+            const missing = (prompt.arguments || [])
+                .filter(argument => argument.required && (args[argument.name] === undefined || args[argument.name] === ''))
+                .map(argument => argument.name);
+            if (missing.length > 0)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32602,
+                        message: `Missing required arguments: ${missing.join(', ')}`
+                    }
+                };
+            }
+
+            if (prompt.messages)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    result: {
+                        description: prompt.description,
+                        messages: toPromptMessages(prompt.messages, args)
+                    }
+                };
+            }
+
+            const target = RED.nodes.getNode(prompt.registeredBy);
+            if (!target)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32603,
+                        message: `No flow serves prompt: ${name}`
+                    }
+                };
+            }
+
+            try
+            {
+                const reply = (await node.dispatchToFlow(target, 'mcp-prompt-get', {
+                    promptName: name,
+                    arguments: args
+                }, 'Prompt', context)).result;
+
+                // Accept a message array, { description, messages }, or plain text for a single user message
+                let messages = Array.isArray(reply) ? reply : reply && reply.messages;
+                if (!Array.isArray(messages))
+                {
+                    messages = [{ role: "user", content: typeof reply === 'string' ? reply : JSON.stringify(reply) }];
+                }
+
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    result: {
+                        description: (reply && reply.description) || prompt.description,
+                        messages: toPromptMessages(messages, null)
+                    }
+                };
+            } catch (error)
+            {
+                return node.executionErrorResponse(request, error);
+            }
+        };
+
+        // Handle initialize method
+        node.handleInitialize = function (request, context)
+        {
+            const params = request.params || {};
+            if (typeof params.protocolVersion !== 'string' || !params.protocolVersion)
+            {
+                return {
+                    jsonrpc: "2.0",
+                    id: request.id,
+                    error: {
+                        code: -32602,
+                        message: "Invalid params: protocolVersion is required",
+                        data: { supported: SUPPORTED_PROTOCOL_VERSIONS }
+                    }
+                };
+            }
+
+            // Unknown revisions are answered with the newest one we speak; the client decides whether to continue
+            const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+                ? params.protocolVersion
+                : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+            if (context.session)
+            {
+                context.session.protocolVersion = protocolVersion;
+                context.session.clientInfo = params.clientInfo || null;
+            }
+
+            const capabilities = {
+                tools: {
+                    listChanged: true
+                }
+            };
+
+            if (resourceRegistry.keys().length > 0)
+            {
+                capabilities.resources = {
+                    subscribe: true,
+                    listChanged: false
+                };
+            }
+
+            if (promptRegistry.keys().length > 0)
+            {
+                capabilities.prompts = {
+                    listChanged: false
+                };
+            }
+
+            return {
+                jsonrpc: "2.0",
+                id: request.id,
+                result: {
+                    protocolVersion: protocolVersion,
+                    capabilities: capabilities,
+                    serverInfo: {
+                        name: node.serverName,
+                        version: "1.0.0",
+                        description: "Node-RED MCP Flow Server"
+                    }
+                }
+            };
+        };
+
+        // Client confirmed initialization; notifications get no response
+        node.handleInitialized = function (request, context)
+        {
+            if (context.session)
+            {
+                context.session.initialized = true;
+            }
+            node.log("Server initialized notification received");
+        };
+
+        // Send an execution request to the node that starts its flow and wait for the reply from an MCP Tool Out node.
+        // Resolves with { result, mimeType }; failures reported by the flow reject with error.fromFlow set.
+        node.dispatchToFlow = function (target, topic, payload, kind, context, timeoutMs)
+        {
+            return new Promise((resolve, reject) =>
+            {
+                const executionId = uuidv4();
+                if (context && context.trace)
+                {
+                    context.trace.executionId = executionId;
+                }
+                const executionMsg = {
+                    topic: topic,
+                    payload: Object.assign({}, payload, { executionId: executionId }),
+                    mcp: {
+                        executionId: executionId,
+                        serverId: node.serverId,
+                        serverName: node.serverName,
+                        sessionId: context && context.session ? context.session.id : null,
+                        auth: context && context.auth ? context.auth : null
+                    }
+                };
+
+                const timeout = setTimeout(() =>
+                {
+                    node.endExecution(executionId, 'timeout', new Error(`${kind} execution timeout`));
+                }, timeoutMs || node.executionTimeout);
+
+                node.pendingExecutions.set(executionId, {
+                    timeout: timeout,
+                    resolve: resolve,
+                    reject: reject,
+                    target: target,
+                    message: executionMsg,
+                    kind: kind,
+                    name: payload.toolName || payload.uri || payload.promptName,
+                    requestId: context ? context.requestId : undefined,
+                    sessionId: executionMsg.mcp.sessionId,
+                    caller: node.callerOf(context),
+                    progressToken: context ? context.progressToken : undefined,
+                    notify: context ? context.notify : undefined,
+                    lastProgress: undefined,
+                    startTime: Date.now()
+                });
+
+                target.dispatch(executionMsg);
+            });
+        };
+
+        // Stop waiting for an execution: fail its request, tell a tool's flow, and remember it for late replies
+        node.endExecution = function (executionId, reason, error)
+        {
+            const pending = node.pendingExecutions.get(executionId);
+            if (!pending)
+            {
+                return;
+            }
+
+            clearTimeout(pending.timeout);
+            node.pendingExecutions.delete(executionId);
+
+            node.endedExecutions.set(executionId, {
+                kind: pending.kind,
+                name: pending.name,
+                reason: reason,
+                startTime: pending.startTime,
+                endTime: Date.now()
+            });
+            node.endedExecutions.forEach((ended, id) =>
+            {
+                if (Date.now() - ended.endTime > LATE_REPLY_WINDOW)
+                {
+                    node.endedExecutions.delete(id);
+                }
+            });
+
+            // Only MCP Tool In nodes have a cancel output
+            if (typeof pending.target.cancel === 'function')
+            {
+                pending.target.cancel({
+                    topic: 'mcp-tool-cancel',
+                    payload: {
+                        executionId: executionId,
+                        toolName: pending.name,
+                        reason: reason
+                    },
+                    mcp: pending.message.mcp
+                });
+            }
+
+            pending.reject(error);
+        };
+
+        // Complete a pending execution with the reply sent by an MCP Tool Out node
+        node.onExecutionReply = function (reply)
+        {
+            const pending = node.pendingExecutions.get(reply.executionId);
+            if (!pending)
+            {
+                node.reportLateReply(reply);
+                return;
+            }
+
+            clearTimeout(pending.timeout);
+            node.pendingExecutions.delete(reply.executionId);
+
+            if (reply.error)
+            {
+                const error = new Error(reply.error);
+                error.fromFlow = true;
+                pending.reject(error);
+            } else
+            {
+                pending.resolve({ result: reply.result, mimeType: reply.mimeType });
+            }
+        };
+
+        // Forward progress reported by an MCP Tool Out node to the client that asked for it
+        node.onExecutionProgress = function (update)
+        {
+            const pending = node.pendingExecutions.get(update.executionId);
+            if (!pending || pending.progressToken === undefined || typeof pending.notify !== 'function')
+            {
+                return;
+            }
+
+            // Progress must increase with every notification
+            if (!Number.isFinite(update.progress) || (pending.lastProgress !== undefined && update.progress <= pending.lastProgress))
+            {
+                return;
+            }
+            pending.lastProgress = update.progress;
+
+            const params = {
+                progressToken: pending.progressToken,
+                progress: update.progress
+            };
+            if (Number.isFinite(update.total))
+            {
+                params.total = update.total;
+            }
+            if (update.message)
+            {
+                params.message = String(update.message);
+            }
+
+            pending.notify({
+                jsonrpc: "2.0",
+                method: "notifications/progress",
+                params: params
+            });
+        };
+
+        // Replies for executions that already timed out or were cancelled go to the status output
+        node.reportLateReply = function (reply)
+        {
+            const ended = node.endedExecutions.get(reply.executionId);
+            if (!ended)
+            {
+                return;
+            }
+
+            node.endedExecutions.delete(reply.executionId);
+            node.warn(`Late reply for ${ended.kind.toLowerCase()} "${ended.name}" after ${ended.reason}`);
+            node.send({
+                topic: 'mcp-late-response',
+                payload: {
+                    executionId: reply.executionId,
+                    kind: ended.kind,
+                    name: ended.name,
+                    reason: ended.reason,
+                    duration: Date.now() - ended.startTime,
+                    result: reply.result,
+                    error: reply.error
+                }
+            });
+        };
+
+        // Handle notifications/cancelled: abandon the executions started for the cancelled request
+        // Who started an execution, so only the same caller can cancel it
+        node.callerOf = function (context)
+        {
+            return {
+                identity: context && context.auth ? context.auth.identity || null : null,
+                connection: context ? context.connection || null : null
+            };
+        };
+
+        // Request ids are only unique per client: a sessionless request can be cancelled by the same
+        // authenticated identity, or by an anonymous caller on the same connection
+        node.isSameCaller = function (entry, sessionId, caller)
+        {
+            if (entry.sessionId !== sessionId || !entry.caller || entry.caller.identity !== caller.identity)
+            {
+                return false;
+            }
+            return Boolean(sessionId || caller.identity || (caller.connection && entry.caller.connection === caller.connection));
+        };
+
+        node.handleCancelled = function (request, context)
+        {
+            const params = request.params || {};
+            const sessionId = context.session ? context.session.id : null;
+            const caller = node.callerOf(context);
+
+            node.pendingExecutions.forEach((pending, executionId) =>
+            {
+                if (pending.requestId === params.requestId && node.isSameCaller(pending, sessionId, caller))
+                {
+                    const error = new Error(params.reason ? `Request cancelled: ${params.reason}` : 'Request cancelled');
+                    error.cancelled = true;
+                    node.endExecution(executionId, 'cancelled', error);
+                }
+            });
+
+            node.executionQueue
+                .filter(waiter => waiter.requestId === params.requestId && node.isSameCaller(waiter, sessionId, caller))
+                .forEach(waiter =>
+                {
+                    const error = new Error('Request cancelled');
+                    error.cancelled = true;
+                    node.dequeueExecution(waiter, error);
+                });
+        };
+
+        RED.events.on('mcp-execution-reply', node.onExecutionReply);
+        RED.events.on('mcp-execution-progress', node.onExecutionProgress);
+
+        // Execute tool flow
+        node.executeToolFlow = function (tool, args, context)
+        {
+            const target = findToolHandler(tool.name, node.id);
+
+            if (!target)
+            {
+                return Promise.reject(new Error(`No MCP Tool In node handles tool: ${tool.name}`));
+            }
+
+            // Time spent waiting in the queue counts against the execution timeout
+            const timeoutMs = tool.timeout || node.executionTimeout;
+            const queuedAt = Date.now();
+
+            return node.acquireExecutionSlot(tool, context, timeoutMs).then(release =>
+                node.dispatchToFlow(target, 'mcp-tool-execute', {
+                    toolName: tool.name,
+                    arguments: args
+                }, 'Tool', context, Math.max(timeoutMs - (Date.now() - queuedAt), 1)).finally(release));
+        };
+
+        // Caller a tool call is counted against: the authenticated identity or its session, else the remote address.
+        // Anyone can open a new session, so anonymous callers are always counted by address.
+        node.rateLimitClient = function (context)
+        {
+            const auth = context && context.auth;
+            const session = context && context.session;
+            const authenticated = Boolean(auth && auth.identity);
+            if (node.rateLimitBy === 'auto' && authenticated)
+            {
+                return `${auth.type}:${auth.identity}`;
+            }
+            if (node.rateLimitBy === 'session' && authenticated && session)
+            {
+                return `session:${session.id}`;
+            }
+            return `ip:${(context && context.remoteAddress) || 'unknown'}`;
+        };
+
+        // Take a token from the caller's server and tool buckets; returns retry details when either one is empty
+        node.checkRateLimit = function (tool, context)
+        {
+            const toolLimit = tool.rateLimit || 0;
+            if (node.rateLimit <= 0 && toolLimit <= 0)
+            {
+                return null;
+            }
+
+            const now = Date.now();
+            const key = node.rateLimitClient(context);
+            let client = node.rateLimitClients.get(key);
+            if (!client)
+            {
+                client = { server: { tokens: node.rateBurst, updatedAt: now }, tools: {}, allowed: 0, limited: 0, lastSeen: now };
+                node.rateLimitClients.set(key, client);
+            }
+            client.lastSeen = now;
+
+            const buckets = [];
+            if (node.rateLimit > 0)
+            {
+                refillBucket(client.server, node.rateLimit, node.rateBurst, now);
+                buckets.push({ scope: 'server', bucket: client.server, limit: node.rateLimit });
+            }
+            if (toolLimit > 0)
+            {
+                const bucket = client.tools[tool.name] = client.tools[tool.name] ||
+                    { tokens: toolLimit, updatedAt: now, allowed: 0, limited: 0 };
+                refillBucket(bucket, toolLimit, toolLimit, now);
+                buckets.push({ scope: 'tool', bucket: bucket, limit: toolLimit });
+            }
+
+            const empty = buckets.filter(entry => entry.bucket.tokens < 1);
+            if (empty.length > 0)
+            {
+                client.limited++;
+                if (client.tools[tool.name])
+                {
+                    client.tools[tool.name].limited++;
+                }
+                const retryAfterMs = Math.max(...empty.map(entry => bucketWait(entry.bucket, entry.limit)));
+                return {
+                    client: key,
+                    scope: empty[empty.length - 1].scope,
+                    tool: tool.name,
+                    limit: empty[empty.length - 1].limit,
+                    retryAfter: Math.ceil(retryAfterMs / 1000),
+                    retryAfterMs: retryAfterMs
+                };
+            }
 
-                res.write('data: {"type":"connected","server":"' + node.serverName + '"}\n\n');
+            buckets.forEach(entry => entry.bucket.tokens -= 1);
+            client.allowed++;
+            if (client.tools[tool.name])
+            {
+                client.tools[tool.name].allowed++;
+            }
+            return null;
+        };
 
-                // Keep connection alive
-                const keepAlive = setInterval(() =>
-                {
-                    res.write('data: {"type":"heartbeat","timestamp":"' + new Date().toISOString() + '"}\n\n');
-                }, 30000);
+        // Session ids work as bearer handles, so the admin endpoint shows a digest instead
+        node.publicClientKey = function (key)
+        {
+            if (!key.startsWith('session:'))
+            {
+                return key;
+            }
+            return `session:${crypto.createHash('sha256').update(key.slice(8)).digest('hex').slice(0, 12)}`;
+        };
 
-                req.on('close', () =>
+        // Rate limit counters per caller, as served by the admin endpoint
+        node.rateLimitStats = function ()
+        {
+            const now = Date.now();
+            const clients = [];
+            node.rateLimitClients.forEach((client, key) =>
+            {
+                const tools = {};
+                Object.keys(client.tools).forEach(name =>
                 {
-                    clearInterval(keepAlive);
+                    const bucket = client.tools[name];
+                    const tool = node.findTool(name);
+                    const limit = tool && tool.rateLimit ? tool.rateLimit : 0;
+                    tools[name] = {
+                        tokens: limit ? Math.floor(bucketTokens(bucket, limit, limit, now)) : null,
+                        allowed: bucket.allowed,
+                        limited: bucket.limited
+                    };
+                });
+                clients.push({
+                    client: node.publicClientKey(key),
+                    tokens: node.rateLimit > 0 ? Math.floor(bucketTokens(client.server, node.rateLimit, node.rateBurst, now)) : null,
+                    allowed: client.allowed,
+                    limited: client.limited,
+                    lastSeen: new Date(client.lastSeen).toISOString(),
+                    tools: tools
                 });
             });
+            return {
+                rateLimit: node.rateLimit,
+                rateBurst: node.rateBurst,
+                rateLimitBy: node.rateLimitBy,
+                clients: clients
+            };
         };
 
-        // Handle tools/list method
-        node.handleToolsList = function (request, res)
+        // Whether a call to the tool may start now under the server and tool concurrency limits
+        node.hasExecutionSlot = function (tool)
+        {
+            if (node.maxConcurrency > 0 && node.activeExecutionCount >= node.maxConcurrency)
+            {
+                return false;
+            }
+            return !(tool.maxConcurrency > 0 && (node.activeExecutions.get(tool.name) || 0) >= tool.maxConcurrency);
+        };
+
+        // Count a starting execution; returns the function that frees its slot again
+        node.takeExecutionSlot = function (tool)
         {
-            const tools = [];
-            const toolKeys = toolRegistry.keys();
+            node.activeExecutionCount++;
+            node.activeExecutions.set(tool.name, (node.activeExecutions.get(tool.name) || 0) + 1);
+            node.updateRunningStatus();
 
-            toolKeys.forEach(key =>
+            let released = false;
+            return function ()
             {
-                const tool = toolRegistry.get(key);
-                if (tool)
+                if (released)
                 {
-                    tools.push({
-                        name: tool.name,
-                        description: tool.description,
-                        inputSchema: tool.inputSchema
-                    });
+                    return;
                 }
-            });
+                released = true;
 
-            res.json({
-                jsonrpc: "2.0",
-                id: request.id,
-                result: { tools: tools }
-            });
+                node.activeExecutionCount--;
+                const active = node.activeExecutions.get(tool.name) - 1;
+                if (active > 0)
+                {
+                    node.activeExecutions.set(tool.name, active);
+                } else
+                {
+                    node.activeExecutions.delete(tool.name);
+                }
+                node.drainExecutionQueue();
+            };
         };
 
-        // Handle tools/call method
-        node.handleToolCall = async function (request, res)
+        // Resolve with a release function once the call may run; queue it while the limits are reached
+        node.acquireExecutionSlot = function (tool, context, timeoutMs)
         {
-            const { name, arguments: args } = request.params;
-            const tool = toolRegistry.get(name);
-            node.log(`Tool call request: ${name} with args: ${JSON.stringify(args)}`);
+            if (node.hasExecutionSlot(tool))
+            {
+                return Promise.resolve(node.takeExecutionSlot(tool));
+            }
 
-            if (!tool)
+            const queuedForTool = node.executionQueue.filter(waiter => waiter.tool.name === tool.name).length;
+            if (node.executionQueue.length >= node.maxQueue || (tool.maxQueue > 0 && queuedForTool >= tool.maxQueue))
             {
-                res.json({
-                    jsonrpc: "2.0",
-                    id: request.id,
-                    error: {
-                        code: -32602,
-                        message: `Tool not found: ${name}`
-                    }
-                });
-                return;
+                const error = new Error(`Server busy: execution queue for tool ${tool.name} is full`);
+                error.code = QUEUE_FULL_ERROR;
+                error.data = {
+                    tool: tool.name,
+                    active: node.activeExecutions.get(tool.name) || 0,
+                    queued: queuedForTool
+                };
+                return Promise.reject(error);
             }
 
-            try
+            return new Promise((resolve, reject) =>
             {
-                const result = await node.executeToolFlow(tool, args);
-                node.log(`Tool ${name} executed successfully with result: ${JSON.stringify(result)}`);
-                res.json({
-                    jsonrpc: "2.0",
-                    id: request.id,
-                    result: result
-                });
-            } catch (error)
+                const waiter = {
+                    tool: tool,
+                    resolve: resolve,
+                    reject: reject,
+                    requestId: context ? context.requestId : undefined,
+                    sessionId: context && context.session ? context.session.id : null,
+                    caller: node.callerOf(context)
+                };
+                waiter.timer = setTimeout(() =>
+                {
+                    node.dequeueExecution(waiter, new Error('Tool execution timeout'));
+                }, timeoutMs);
+
+                node.executionQueue.push(waiter);
+                node.updateRunningStatus();
+            });
+        };
+
+        // Drop a queued call without running it
+        node.dequeueExecution = function (waiter, error)
+        {
+            const index = node.executionQueue.indexOf(waiter);
+            if (index === -1)
             {
-                res.json({
-                    jsonrpc: "2.0",
-                    id: request.id,
-                    error: {
-                        code: -32603,
-                        message: error.message
-                    }
-                });
+                return;
             }
+            node.executionQueue.splice(index, 1);
+            clearTimeout(waiter.timer);
+            node.updateRunningStatus();
+            waiter.reject(error);
         };
 
-        // Handle direct tool calls (method ends with _tool)
-        node.handleDirectToolCall = async function (request, res)
+        // Start every queued call that fits under the limits, oldest first
+        node.drainExecutionQueue = function ()
         {
-            const toolName = request.method;
-            const tool = toolRegistry.get(toolName);
-
-            if (!tool)
+            for (let i = 0; i < node.executionQueue.length;)
             {
-                res.json({
-                    jsonrpc: "2.0",
-                    id: request.id,
-                    error: {
-                        code: -32602,
-                        message: `Tool not found: ${toolName}`
-                    }
-                });
-                return;
+                const waiter = node.executionQueue[i];
+                if (node.hasExecutionSlot(waiter.tool))
+                {
+                    node.executionQueue.splice(i, 1);
+                    clearTimeout(waiter.timer);
+                    waiter.resolve(node.takeExecutionSlot(waiter.tool));
+                } else
+                {
+                    i++;
+                }
             }
+            node.updateRunningStatus();
+        };
 
-            try
+        // Active and queued tool executions, in total and per tool
+        node.executionStats = function ()
+        {
+            const tools = {};
+            node.activeExecutions.forEach((active, name) =>
             {
-                const result = await node.executeToolFlow(tool, request.params || {});
-                res.json({
-                    jsonrpc: "2.0",
-                    id: request.id,
-                    result: result
-                });
-            } catch (error)
+                tools[name] = { active: active, queued: 0 };
+            });
+            node.executionQueue.forEach(waiter =>
             {
-                res.json({
-                    jsonrpc: "2.0",
-                    id: request.id,
-                    error: {
-                        code: -32603,
-                        message: error.message
-                    }
-                });
+                tools[waiter.tool.name] = tools[waiter.tool.name] || { active: 0, queued: 0 };
+                tools[waiter.tool.name].queued++;
+            });
+            return {
+                active: node.activeExecutionCount,
+                queued: node.executionQueue.length,
+                tools: tools
+            };
+        };
+
+        node.updateRunningStatus = function ()
+        {
+            if (!node.isRunning)
+            {
+                return;
             }
+            const queued = node.executionQueue.length;
+            const load = node.activeExecutionCount > 0 || queued > 0
+                ? ` (${node.activeExecutionCount} active, ${queued} queued)`
+                : "";
+            node.status({ fill: "green", shape: queued > 0 ? "ring" : "dot", text: `running ${node.endpointLabel()}${load}` });
         };
 
-        // Handle initialize method
-        node.handleInitialize = function (request, res)
+        // Where the endpoints are reachable, for status and logs
+        node.endpointLabel = function ()
         {
-            res.json({
-                jsonrpc: "2.0",
-                id: request.id,
-                result: {
-                    protocolVersion: "2024-11-05",
-                    capabilities: {
-                        tools: {
-                            listChanged: true
-                        }
-                    },
-                    serverInfo: {
-                        name: node.serverName,
-                        version: "1.0.0",
-                        description: "Node-RED MCP Flow Server"
-                    }
-                }
-            });
+            return node.listenMode === 'node' ? node.mountPath || "/" : `:${node.serverPort}`;
         };
 
-        node.handleInitialized = function (request, res)
+        // Mark the server as running once its endpoints accept requests
+        node.onServerStarted = function ()
         {
-            // This method can be used to notify the server that it has been initialized
-            // For now, we just acknowledge the request
-            res.json({
-                jsonrpc: "2.0",
-                id: request.id,
-                result: {
-                    message: "Server initialized successfully"
+            node.isRunning = true;
+            node.updateRunningStatus();
+            node.sessionSweepTimer = setInterval(node.sweepSessions, 60000);
+
+            // Store in global registry - use only primitive values to avoid cloning issues
+            const cacheData = {
+                nodeId: String(node.id),
+                serverName: String(node.serverName),
+                port: node.listenMode === 'node' ? null : Number(node.serverPort),
+                path: node.listenMode === 'node' ? String(node.mountPath || "/") : null,
+                secure: Boolean(node.useTls),
+                startTime: new Date().toISOString(),
+                isRunning: Boolean(true)
+            };
+            serverInstances.set(node.serverId, cacheData);
+
+            node.log(node.listenMode === 'node'
+                ? `MCP Flow Server mounted on the Node-RED HTTP server at ${node.mountPath || "/"}`
+                : `MCP Flow Server started on port ${node.serverPort}${node.useTls ? " (HTTPS)" : ""}`);
+
+            // Send started message
+            node.send({
+                topic: "mcp-server-started",
+                payload: {
+                    serverId: node.serverId,
+                    serverName: node.serverName,
+                    port: cacheData.port,
+                    path: cacheData.path,
+                    startTime: new Date()
                 }
             });
+        };
 
-            // Optionally, you can trigger any post-initialization logic here
-            node.log("Server initialized notification received");
-        }
-
-        // Execute tool flow
-        node.executeToolFlow = function (tool, args)
+        // Requests under the mount path of Node-RED's HTTP server are handed to this server's app while it runs
+        node.mountHandler = function (req, res, next)
         {
-            return new Promise((resolve, reject) =>
+            if (!node.isRunning || !node.app)
             {
-                // Send execution request to tool handler nodes
-                const executionMsg = {
-                    topic: 'mcp-tool-execute',
-                    payload: {
-                        toolName: tool.name,
-                        arguments: args,
-                        executionId: uuidv4()
-                    }
-                };
-
-                // Set up timeout
-                const timeout = setTimeout(() =>
-                {
-                    reject(new Error('Tool execution timeout'));
-                }, 30000);
-
-                // Listen for response
-                const responseHandler = (msg) =>
-                {
-                    if (msg.topic === 'mcp-tool-response' &&
-                        msg.payload.executionId === executionMsg.payload.executionId)
-                    {
-                        clearTimeout(timeout);
-                        node.removeListener('input', responseHandler);
+                next();
+                return;
+            }
 
-                        if (msg.payload.error)
-                        {
-                            reject(new Error(msg.payload.error));
-                        } else
-                        {
-                            resolve(msg.payload.result);
-                        }
-                    }
-                };
+            // The app swaps the request and response prototypes; restore them when it passes the request on
+            const parentRequest = Object.getPrototypeOf(req);
+            const parentResponse = Object.getPrototypeOf(res);
+            req.mcpMountPath = req.baseUrl;
+            node.app.handle(req, res, (error) =>
+            {
+                Object.setPrototypeOf(req, parentRequest);
+                Object.setPrototypeOf(res, parentResponse);
+                next(error);
+            });
+        };
 
-                node.on('input', responseHandler);
+        node.mountServer = function ()
+        {
+            if (!RED.httpNode)
+            {
+                throw new Error("Node-RED's HTTP server is disabled (httpNodeRoot is false)");
+            }
+            const clash = serverInstances.keys()
+                .map(key => serverInstances.get(key))
+                .find(server => server && server.nodeId !== node.id && server.path === (node.mountPath || "/"));
+            if (clash)
+            {
+                throw new Error(`Mount path ${node.mountPath || "/"} is already used by ${clash.serverName}`);
+            }
+            RED.httpNode.use(node.mountPath || "/", node.mountHandler);
+        };
 
-                // Send execution request
-                node.send(executionMsg);
-            });
+        // Express has no way to remove middleware, so drop the layer from the router stack like http in nodes do
+        node.unmountServer = function ()
+        {
+            const router = RED.httpNode && RED.httpNode._router;
+            if (router)
+            {
+                router.stack = router.stack.filter(layer => layer.handle !== node.mountHandler);
+            }
         };
 
         // Start server
@@ -358,38 +2744,28 @@ module.exports = function (RED)
 
             try
             {
-                node.initializeServer();
+                if (node.authType === 'oauth' && !node.expectedAudience())
+                {
+                    throw new Error("OAuth needs a Resource or Audience to check tokens against");
+                }
 
-                node.httpServer = http.createServer(node.app);
+                node.initializeServer();
 
-                node.httpServer.listen(node.serverPort, () =>
+                if (node.listenMode === 'node')
                 {
-                    node.isRunning = true;
-                    node.status({ fill: "green", shape: "dot", text: `running :${node.serverPort}` });
+                    node.mountServer();
+                    node.onServerStarted();
+                    callback(null, { success: true, message: "Server started" });
+                    return;
+                }
 
-                    // Store in global registry - use only primitive values to avoid cloning issues
-                    const cacheData = {
-                        nodeId: String(node.id),
-                        serverName: String(node.serverName),
-                        port: Number(node.serverPort),
-                        startTime: new Date().toISOString(),
-                        isRunning: Boolean(true)
-                    };
-                    serverInstances.set(node.serverId, cacheData);
-
-                    node.log(`MCP Flow Server started on port ${node.serverPort}`);
-
-                    // Send started message
-                    node.send({
-                        topic: "mcp-server-started",
-                        payload: {
-                            serverId: node.serverId,
-                            serverName: node.serverName,
-                            port: node.serverPort,
-                            startTime: new Date()
-                        }
-                    });
+                node.httpServer = node.useTls
+                    ? https.createServer(node.tlsOptions(), node.app)
+                    : http.createServer(node.app);
 
+                node.httpServer.listen(node.serverPort, () =>
+                {
+                    node.onServerStarted();
                     callback(null, { success: true, message: "Server started" });
                 });
 
@@ -419,26 +2795,33 @@ module.exports = function (RED)
 
             node.status({ fill: "yellow", shape: "ring", text: "stopping..." });
 
-            if (node.httpServer)
-            {
-                node.httpServer.close(() =>
-                {
-                    node.isRunning = false;
-                    node.status({ fill: "grey", shape: "ring", text: "stopped" });
-                    serverInstances.del(node.serverId);
-
-                    node.send({
-                        topic: "mcp-server-stopped",
-                        payload: { serverId: node.serverId }
-                    });
+            // Open streams would otherwise keep the HTTP server from closing
+            clearInterval(node.sessionSweepTimer);
+            node.sessionSweepTimer = null;
+            node.sessions.forEach(session => node.closeSession(session));
 
-                    callback(null, { success: true, message: "Server stopped" });
-                });
-            } else
+            const stopped = () =>
             {
                 node.isRunning = false;
                 node.status({ fill: "grey", shape: "ring", text: "stopped" });
+                serverInstances.del(node.serverId);
+
+                node.send({
+                    topic: "mcp-server-stopped",
+                    payload: { serverId: node.serverId }
+                });
+
                 callback(null, { success: true, message: "Server stopped" });
+            };
+
+            if (node.httpServer)
+            {
+                node.httpServer.close(stopped);
+                node.httpServer = null;
+            } else
+            {
+                node.unmountServer();
+                stopped();
             }
         };
 
@@ -464,13 +2847,32 @@ module.exports = function (RED)
                     });
                     break;
 
+                case 'mcp-tool-response':
+                    // Replies wired back into the server node, as flows did before MCP Tool Out existed
+                    if (msg.payload && msg.payload.executionId)
+                    {
+                        node.onExecutionReply({
+                            executionId: msg.payload.executionId,
+                            result: msg.payload.result,
+                            error: msg.payload.error
+                        });
+                    }
+                    break;
+
                 case 'status':
                     msg.payload = {
                         serverId: node.serverId,
                         serverName: node.serverName,
                         isRunning: node.isRunning,
-                        port: node.serverPort,
-                        toolCount: toolRegistry.keys().length
+                        port: node.listenMode === 'node' ? null : node.serverPort,
+                        path: node.listenMode === 'node' ? node.mountPath || "/" : null,
+                        secure: node.useTls,
+                        requireClientCert: node.requireClientCert,
+                        toolCount: toolsForServer(node.id).length,
+                        resourceCount: resourceRegistry.keys().length,
+                        promptCount: promptRegistry.keys().length,
+                        sessionCount: node.sessions.size,
+                        executions: node.executionStats()
                     };
                     node.send(msg);
                     break;
@@ -486,6 +2888,23 @@ module.exports = function (RED)
         // Cleanup on node close
         node.on('close', function (done)
         {
+            RED.events.removeListener('mcp-resource-updated', node.onResourceUpdated);
+            RED.events.removeListener('mcp-tool-register', node.onToolRegistryChanged);
+            RED.events.removeListener('mcp-tool-unregister', node.onToolRegistryChanged);
+            clearTimeout(node.toolListTimer);
+            RED.events.removeListener('mcp-execution-reply', node.onExecutionReply);
+            RED.events.removeListener('mcp-execution-progress', node.onExecutionProgress);
+
+            node.pendingExecutions.forEach(pending =>
+            {
+                clearTimeout(pending.timeout);
+                pending.reject(new Error('Server closed'));
+            });
+            node.pendingExecutions.clear();
+            node.endedExecutions.clear();
+
+            node.executionQueue.slice().forEach(waiter => node.dequeueExecution(waiter, new Error('Server closed')));
+
             if (node.isRunning)
             {
                 node.stopServer(() => done());
@@ -497,17 +2916,104 @@ module.exports = function (RED)
     }
 
     // Register the node
-    RED.nodes.registerType("mcp-flow-server", MCPFlowServerNode);
+    RED.nodes.registerType("mcp-flow-server", MCPFlowServerNode, {
+        credentials: {
+            authSecrets: { type: "password" }
+        }
+    });
 
     // Expose tool registry functions for other nodes
     RED.events.on('mcp-tool-register', (toolDef) =>
     {
-        toolRegistry.set(toolDef.name, toolDef);
+        const key = toolDef.registeredBy || toolDef.name;
+        toolRegistry.set(key, toolDef);
+
+        try
+        {
+            toolValidators.set(key, ajv.compile(toolDef.inputSchema || {}));
+        } catch (error)
+        {
+            // Arguments of tools with an unusable schema are passed through unchecked
+            toolValidators.delete(key);
+            RED.log.warn(`MCP Flow Server: invalid inputSchema for tool "${toolDef.name}": ${error.message}`);
+        }
+
+        toolOutputValidators.delete(key);
+        if (toolDef.outputSchema)
+        {
+            try
+            {
+                toolOutputValidators.set(key, ajv.compile(toolDef.outputSchema));
+            } catch (error)
+            {
+                RED.log.warn(`MCP Flow Server: invalid outputSchema for tool "${toolDef.name}": ${error.message}`);
+            }
+        }
+    });
+
+    RED.events.on('mcp-tool-unregister', (toolRef) =>
+    {
+        // Registry nodes send { name, registeredBy }; a bare name removes every tool with that name
+        if (typeof toolRef === 'string')
+        {
+            toolRegistry.keys()
+                .filter(key => (toolRegistry.get(key) || {}).name === toolRef)
+                .forEach(key =>
+                {
+                    toolRegistry.del(key);
+                    toolValidators.delete(key);
+                    toolOutputValidators.delete(key);
+                });
+            return;
+        }
+        toolRegistry.del(toolRef.registeredBy || toolRef.name);
+        toolValidators.delete(toolRef.registeredBy || toolRef.name);
+        toolOutputValidators.delete(toolRef.registeredBy || toolRef.name);
+    });
+
+    RED.events.on('mcp-tool-handler-register', (handler) =>
+    {
+        const handlers = toolHandlers.get(handler.toolName) || [];
+        const server = handler.server || "";
+        if (handlers.some(existing => existing.server === server))
+        {
+            RED.log.warn(`MCP Flow Server: several MCP Tool In nodes handle "${handler.toolName}"` +
+                `${server ? ` on server ${server}` : ""}; only the first receives calls`);
+        }
+        handlers.push({ handlerId: handler.handlerId, server: server });
+        toolHandlers.set(handler.toolName, handlers);
+    });
+
+    RED.events.on('mcp-tool-handler-unregister', (handler) =>
+    {
+        const handlers = (toolHandlers.get(handler.toolName) || []).filter(existing => existing.handlerId !== handler.handlerId);
+        if (handlers.length > 0)
+        {
+            toolHandlers.set(handler.toolName, handlers);
+        } else
+        {
+            toolHandlers.delete(handler.toolName);
+        }
+    });
+
+    RED.events.on('mcp-resource-register', (resourceDef) =>
+    {
+        resourceRegistry.set(resourceDef.uri, resourceDef);
+    });
+
+    RED.events.on('mcp-resource-unregister', (uri) =>
+    {
+        resourceRegistry.del(uri);
     });
 
-    RED.events.on('mcp-tool-unregister', (toolName) =>
+    RED.events.on('mcp-prompt-register', (promptDef) =>
     {
-        toolRegistry.del(toolName);
+        promptRegistry.set(promptDef.name, promptDef);
+    });
+
+    RED.events.on('mcp-prompt-unregister', (promptName) =>
+    {
+        promptRegistry.del(promptName);
     });
 
     // Admin endpoint to list flow servers
@@ -524,11 +3030,49 @@ module.exports = function (RED)
                     serverName: server.serverName,
                     isRunning: server.isRunning,
                     port: server.port,
+                    path: server.path,
+                    secure: server.secure,
                     startTime: server.startTime,
-                    toolCount: toolRegistry.keys().length
+                    toolCount: toolsForServer(server.nodeId).length
                 });
             }
         });
         res.json({ servers });
     });
+
+    // Metrics of every running flow server in one exposition, labelled by server
+    RED.httpAdmin.get("/mcp-flow-servers/metrics", RED.auth.needsPermission('mcp-flow-server.read'), function (req, res)
+    {
+        const sources = [];
+        serverInstances.keys().forEach(key =>
+        {
+            const server = serverInstances.get(key);
+            const serverNode = server ? RED.nodes.getNode(server.nodeId) : null;
+            if (serverNode && serverNode.metrics)
+            {
+                sources.push({ registry: serverNode.metrics, labels: { server: server.serverName, server_id: key } });
+            }
+        });
+        res.set('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(renderMetrics(sources));
+    });
+
+    // Rate limit counters of every flow server, per caller
+    RED.httpAdmin.get("/mcp-flow-servers/rate-limits", RED.auth.needsPermission('mcp-flow-server.read'), function (req, res)
+    {
+        const servers = [];
+        serverInstances.keys().forEach(key =>
+        {
+            const server = serverInstances.get(key);
+            const serverNode = server ? RED.nodes.getNode(server.nodeId) : null;
+            if (serverNode)
+            {
+                servers.push(Object.assign({
+                    serverId: key,
+                    serverName: server.serverName
+                }, serverNode.rateLimitStats()));
+            }
+        });
+        res.json({ servers });
+    });
 }; 
@@ -0,0 +1,223 @@
+module.exports = function (RED)
+{
+    "use strict";
+
+    function MCPPromptNode(config)
+    {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Configuration
+        node.promptName = config.promptName || "";
+        node.promptDescription = config.promptDescription || "";
+        node.promptArguments = config.promptArguments || "[]";
+        node.contentSource = config.contentSource || "static";
+        node.promptTemplate = config.promptTemplate || "";
+        node.autoRegister = config.autoRegister !== false;
+
+        // Runtime state
+        node.isRegistered = false;
+        node.registeredName = null;
+
+        // Set initial status
+        node.status({ fill: "grey", shape: "ring", text: "unregistered" });
+
+        // Parse prompt arguments
+        let parsedArguments = [];
+        try
+        {
+            parsedArguments = JSON.parse(node.promptArguments);
+            if (!Array.isArray(parsedArguments))
+            {
+                throw new Error("arguments must be an array");
+            }
+        } catch (error)
+        {
+            node.warn(`Invalid prompt arguments JSON: ${error.message}`);
+            parsedArguments = [];
+        }
+
+        // Parse the static template: a JSON message list, or plain text used as a single user message
+        node.parseTemplate = function (template)
+        {
+            try
+            {
+                const parsed = JSON.parse(template);
+                if (Array.isArray(parsed))
+                {
+                    return parsed;
+                }
+            } catch (error)
+            {
+                // Not JSON, fall through to plain text
+            }
+            return [{ role: "user", content: { type: "text", text: template } }];
+        };
+
+        // Definition published to flow servers
+        node.buildDefinition = function ()
+        {
+            return {
+                name: node.promptName,
+                description: node.promptDescription || `Prompt: ${node.promptName}`,
+                arguments: parsedArguments,
+                messages: node.contentSource === "static" ? node.parseTemplate(node.promptTemplate) : null,
+                registeredBy: node.id,
+                registrationTime: new Date()
+            };
+        };
+
+        // Register prompt function
+        node.registerPrompt = function ()
+        {
+            if (!node.promptName)
+            {
+                node.warn("Prompt name is required for registration");
+                return;
+            }
+
+            if (node.isRegistered)
+            {
+                node.warn("Prompt is already registered");
+                return;
+            }
+
+            // Emit registration event
+            RED.events.emit('mcp-prompt-register', node.buildDefinition());
+
+            node.isRegistered = true;
+            node.registeredName = node.promptName;
+            node.status({ fill: "green", shape: "dot", text: "registered" });
+
+            node.log(`Prompt "${node.promptName}" registered successfully`);
+
+            // Send registration message
+            node.send({
+                topic: 'prompt-registered',
+                payload: {
+                    promptName: node.promptName,
+                    description: node.promptDescription,
+                    arguments: parsedArguments
+                }
+            });
+        };
+
+        // Unregister prompt function
+        node.unregisterPrompt = function ()
+        {
+            if (!node.isRegistered)
+            {
+                node.warn("Prompt is not currently registered");
+                return;
+            }
+
+            // Emit unregistration event
+            RED.events.emit('mcp-prompt-unregister', node.registeredName);
+
+            node.isRegistered = false;
+            node.status({ fill: "grey", shape: "ring", text: "unregistered" });
+
+            node.log(`Prompt "${node.registeredName}" unregistered`);
+
+            // Send unregistration message
+            node.send({
+                topic: 'prompt-unregistered',
+                payload: {
+                    promptName: node.registeredName
+                }
+            });
+            node.registeredName = null;
+        };
+
+        // Update prompt registration
+        node.updateRegistration = function ()
+        {
+            if (node.isRegistered)
+            {
+                node.unregisterPrompt();
+                setTimeout(() => node.registerPrompt(), 100);
+            }
+        };
+
+        // Called by flow servers with a prompts/get request; requests leave through the second output
+        node.dispatch = function (msg)
+        {
+            node.send([null, msg]);
+        };
+
+        // Handle input messages
+        node.on('input', function (msg)
+        {
+            const command = msg.topic || msg.payload.command;
+
+            switch (command)
+            {
+                case 'register':
+                    node.registerPrompt();
+                    break;
+
+                case 'unregister':
+                    node.unregisterPrompt();
+                    break;
+
+                case 'update':
+                    // Update prompt definition from message
+                    if (msg.payload.promptName) node.promptName = msg.payload.promptName;
+                    if (msg.payload.promptDescription) node.promptDescription = msg.payload.promptDescription;
+                    if (msg.payload.promptTemplate !== undefined) node.promptTemplate = String(msg.payload.promptTemplate);
+                    if (msg.payload.promptArguments)
+                    {
+                        try
+                        {
+                            const args = typeof msg.payload.promptArguments === 'string'
+                                ? JSON.parse(msg.payload.promptArguments)
+                                : msg.payload.promptArguments;
+                            if (!Array.isArray(args))
+                            {
+                                throw new Error("arguments must be an array");
+                            }
+                            parsedArguments = args;
+                        } catch (error)
+                        {
+                            node.warn(`Invalid prompt arguments in update: ${error.message}`);
+                        }
+                    }
+                    node.updateRegistration();
+                    break;
+
+                case 'status':
+                    msg.payload = {
+                        promptName: node.promptName,
+                        isRegistered: node.isRegistered,
+                        description: node.promptDescription,
+                        arguments: parsedArguments,
+                        contentSource: node.contentSource
+                    };
+                    node.send(msg);
+                    break;
+
+                default:
+                    node.warn(`Unknown command: ${command}`);
+            }
+        });
+
+        // Auto-register if configured
+        if (node.autoRegister && node.promptName)
+        {
+            setTimeout(() => node.registerPrompt(), 500);
+        }
+
+        // Cleanup on node close
+        node.on('close', function (done)
+        {
+            if (node.isRegistered)
+            {
+                node.unregisterPrompt();
+            }
+            done();
+        });
+    }
+
+    // Register the node
+    RED.nodes.registerType("mcp-prompt", MCPPromptNode);
+};
@@ -0,0 +1,213 @@
+module.exports = function (RED)
+{
+    "use strict";
+
+    function MCPResourceNode(config)
+    {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Configuration
+        node.resourceUri = config.resourceUri || "";
+        node.resourceName = config.resourceName || "";
+        node.resourceDescription = config.resourceDescription || "";
+        node.mimeType = config.mimeType || "text/plain";
+        node.contentSource = config.contentSource || "flow";
+        node.staticContent = config.staticContent || "";
+        node.autoRegister = config.autoRegister !== false;
+
+        // Runtime state
+        node.isRegistered = false;
+        node.registeredUri = null;
+
+        // Set initial status
+        node.status({ fill: "grey", shape: "ring", text: "unregistered" });
+
+        // URIs containing {placeholders} are published as URI templates
+        node.isTemplate = function ()
+        {
+            return /\{[^}]+\}/.test(node.resourceUri);
+        };
+
+        // Definition published to flow servers
+        node.buildDefinition = function ()
+        {
+            return {
+                uri: node.resourceUri,
+                isTemplate: node.isTemplate(),
+                name: node.resourceName || node.resourceUri,
+                description: node.resourceDescription,
+                mimeType: node.mimeType,
+                staticContent: node.contentSource === "static" ? node.staticContent : null,
+                registeredBy: node.id,
+                registrationTime: new Date()
+            };
+        };
+
+        // Register resource function
+        node.registerResource = function ()
+        {
+            if (!node.resourceUri)
+            {
+                node.warn("Resource URI is required for registration");
+                return;
+            }
+
+            if (node.isRegistered)
+            {
+                node.warn("Resource is already registered");
+                return;
+            }
+
+            const resourceDefinition = node.buildDefinition();
+
+            // Emit registration event
+            RED.events.emit('mcp-resource-register', resourceDefinition);
+
+            node.isRegistered = true;
+            node.registeredUri = node.resourceUri;
+            node.status({ fill: "green", shape: "dot", text: resourceDefinition.isTemplate ? "registered (template)" : "registered" });
+
+            node.log(`Resource "${node.resourceUri}" registered successfully`);
+
+            // Send registration message
+            node.send({
+                topic: 'resource-registered',
+                payload: {
+                    uri: node.resourceUri,
+                    isTemplate: resourceDefinition.isTemplate,
+                    name: resourceDefinition.name,
+                    mimeType: node.mimeType
+                }
+            });
+        };
+
+        // Unregister resource function
+        node.unregisterResource = function ()
+        {
+            if (!node.isRegistered)
+            {
+                node.warn("Resource is not currently registered");
+                return;
+            }
+
+            // Emit unregistration event
+            RED.events.emit('mcp-resource-unregister', node.registeredUri);
+
+            node.isRegistered = false;
+            node.status({ fill: "grey", shape: "ring", text: "unregistered" });
+
+            node.log(`Resource "${node.registeredUri}" unregistered`);
+
+            // Send unregistration message
+            node.send({
+                topic: 'resource-unregistered',
+                payload: {
+                    uri: node.registeredUri
+                }
+            });
+            node.registeredUri = null;
+        };
+
+        // Update resource registration
+        node.updateRegistration = function ()
+        {
+            if (node.isRegistered)
+            {
+                node.unregisterResource();
+                setTimeout(() => node.registerResource(), 100);
+            }
+        };
+
+        // Called by flow servers with a resources/read request; requests leave through the second output
+        node.dispatch = function (msg)
+        {
+            node.send([null, msg]);
+        };
+
+        // Handle input messages
+        node.on('input', function (msg)
+        {
+            const command = msg.topic || msg.payload.command;
+
+            switch (command)
+            {
+                case 'register':
+                    node.registerResource();
+                    break;
+
+                case 'unregister':
+                    node.unregisterResource();
+                    break;
+
+                case 'update':
+                    // Update resource definition from message
+                    if (msg.payload.resourceUri) node.resourceUri = msg.payload.resourceUri;
+                    if (msg.payload.resourceName) node.resourceName = msg.payload.resourceName;
+                    if (msg.payload.resourceDescription) node.resourceDescription = msg.payload.resourceDescription;
+                    if (msg.payload.mimeType) node.mimeType = msg.payload.mimeType;
+                    if (msg.payload.staticContent !== undefined) node.staticContent = String(msg.payload.staticContent);
+                    node.updateRegistration();
+                    break;
+
+                case 'changed':
+                {
+                    // Notify subscribers that the content behind the URI changed
+                    const uri = (msg.payload && msg.payload.uri) || node.resourceUri;
+                    if (!node.isRegistered)
+                    {
+                        node.warn("Resource is not currently registered");
+                        break;
+                    }
+                    if (/\{[^}]+\}/.test(uri))
+                    {
+                        node.warn("A concrete msg.payload.uri is required to signal changes for a URI template");
+                        break;
+                    }
+                    if (msg.payload && msg.payload.staticContent !== undefined)
+                    {
+                        // Re-registering under the same URI replaces the stored content in place
+                        node.staticContent = String(msg.payload.staticContent);
+                        RED.events.emit('mcp-resource-register', node.buildDefinition());
+                    }
+                    RED.events.emit('mcp-resource-updated', uri);
+                    break;
+                }
+
+                case 'status':
+                    msg.payload = {
+                        uri: node.resourceUri,
+                        isTemplate: node.isTemplate(),
+                        isRegistered: node.isRegistered,
+                        name: node.resourceName,
+                        mimeType: node.mimeType,
+                        contentSource: node.contentSource
+                    };
+                    node.send(msg);
+                    break;
+
+                default:
+                    node.warn(`Unknown command: ${command}`);
+            }
+        });
+
+        // Auto-register if configured
+        if (node.autoRegister && node.resourceUri)
+        {
+            setTimeout(() => node.registerResource(), 500);
+        }
+
+        // Cleanup on node close
+        node.on('close', function (done)
+        {
+            if (node.isRegistered)
+            {
+                node.unregisterResource();
+            }
+            done();
+        });
+    }
+
+    // Register the node
+    RED.nodes.registerType("mcp-resource", MCPResourceNode);
+};
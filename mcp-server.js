@@ -7,10 +7,14 @@ module.exports = function (RED)
     const NodeCache = require('node-cache');
     const axios = require('axios');
     const EventSource = require('eventsource');
+    const { createMetricsRegistry, renderMetrics, METRICS_CONTENT_TYPE } = require('./lib/metrics');
 
     // Cache to store running MCP server instances
     const serverCache = new NodeCache({ stdTTL: 0 }); // No TTL - manual cleanup
 
+    // Deployed MCP server nodes by id, stopped ones included, for the metrics endpoint
+    const deployedServers = new Map();
+
     function MCPServerNode(config)
     {
         RED.nodes.createNode(this, config);
@@ -35,6 +39,19 @@ module.exports = function (RED)
         node.restartCount = 0;
         node.healthCheckTimer = null;
         node.lastHealthCheck = null;
+        node.processStartTime = null;
+
+        // Prometheus metrics of the child process, published through the admin endpoint
+        node.metrics = createMetricsRegistry();
+        node.metrics.gauge('mcp_server_up', 'Whether the server process is running', () => node.isRunning ? 1 : 0);
+        node.metrics.gauge('mcp_server_uptime_seconds', 'Seconds since the server process was started',
+            () => node.serverProcess && node.processStartTime ? (Date.now() - node.processStartTime) / 1000 : 0);
+        const restartsTotal = node.metrics.counter('mcp_server_restarts_total', 'Automatic restarts after the process exited with an error');
+        const healthCheckFailuresTotal = node.metrics.counter('mcp_server_health_check_failures_total', 'Failed health checks');
+        const healthCheckDuration = node.metrics.histogram('mcp_server_health_check_duration_seconds', 'Health check latency');
+        restartsTotal.inc({}, 0);
+        healthCheckFailuresTotal.inc({}, 0);
+        deployedServers.set(node.id, node);
 
         // Set initial status
         node.status({ fill: "grey", shape: "ring", text: "stopped" });
@@ -114,6 +131,7 @@ module.exports = function (RED)
                     stdio: ['pipe', 'pipe', 'pipe'],
                     cwd: process.cwd()
                 });
+                node.processStartTime = Date.now();
 
                 node.serverProcess.stdout.on('data', (data) =>
                 {
@@ -162,11 +180,13 @@ module.exports = function (RED)
                     node.log(`MCP server exited with code ${code}, signal ${signal}`);
                     node.isRunning = false;
                     node.serverProcess = null;
+                    node.processStartTime = null;
 
                     if (code !== 0 && node.restartCount < node.maxRestarts)
                     {
                         node.status({ fill: "yellow", shape: "ring", text: "restarting..." });
                         node.restartCount++;
+                        restartsTotal.inc();
 
                         setTimeout(() =>
                         {
@@ -280,6 +300,7 @@ module.exports = function (RED)
 
             node.healthCheckTimer = setInterval(async () =>
             {
+                const checkStart = Date.now();
                 try
                 {
                     const response = await axios.get(`http://localhost:${node.serverPort}/health`, {
@@ -287,6 +308,7 @@ module.exports = function (RED)
                     });
 
                     node.lastHealthCheck = new Date();
+                    healthCheckDuration.observe({}, (Date.now() - checkStart) / 1000);
 
                     if (response.status === 200)
                     {
@@ -297,6 +319,8 @@ module.exports = function (RED)
                     }
                 } catch (error)
                 {
+                    healthCheckFailuresTotal.inc();
+                    healthCheckDuration.observe({}, (Date.now() - checkStart) / 1000);
                     node.warn(`Health check failed: ${error.message}`);
                     if (node.isRunning)
                     {
@@ -391,6 +415,7 @@ module.exports = function (RED)
         node.on('close', function (done)
         {
             node.stopHealthCheck();
+            deployedServers.delete(node.id);
 
             if (node.isRunning && node.serverProcess)
             {
@@ -431,4 +456,15 @@ module.exports = function (RED)
         });
         res.json({ servers });
     });
-}; 
+
+    // Metrics of every deployed MCP server node in one exposition, labelled by server
+    RED.httpAdmin.get("/mcp-servers/metrics", RED.auth.needsPermission('mcp-server.read'), function (req, res)
+    {
+        const sources = Array.from(deployedServers.values()).map(serverNode => ({
+            registry: serverNode.metrics,
+            labels: { server: serverNode.serverName, server_id: serverNode.serverId }
+        }));
+        res.set('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(renderMetrics(sources));
+    });
+};
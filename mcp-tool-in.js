@@ -0,0 +1,109 @@
+module.exports = function (RED)
+{
+    "use strict";
+
+    // Entry point of the flow that implements one tool, like http-in for HTTP routes
+    function MCPToolInNode(config)
+    {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Configuration
+        node.toolName = config.toolName || "";
+        node.server = config.server || "";
+
+        if (!node.toolName)
+        {
+            node.status({ fill: "red", shape: "ring", text: "no tool name" });
+            return;
+        }
+
+        node.status({ fill: "green", shape: "dot", text: node.toolName });
+
+        // Called by flow servers with a prepared execution message
+        node.dispatch = function (msg)
+        {
+            node.send([msg, null]);
+        };
+
+        // Called by flow servers when a call timed out or was cancelled by the client
+        node.cancel = function (msg)
+        {
+            node.send([null, msg]);
+        };
+
+        RED.events.emit('mcp-tool-handler-register', { toolName: node.toolName, handlerId: node.id, server: node.server });
+
+        // Cleanup on node close
+        node.on('close', function (done)
+        {
+            RED.events.emit('mcp-tool-handler-unregister', { toolName: node.toolName, handlerId: node.id });
+            done();
+        });
+    }
+
+    // Sends the reply for an MCP execution back to the flow server, like http-response
+    function MCPToolOutNode(config)
+    {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Handle input messages
+        node.on('input', function (msg)
+        {
+            let executionId = msg.mcp && msg.mcp.executionId;
+            let result = msg.payload;
+            let error = null;
+
+            // Progress updates: { topic: 'mcp-tool-progress', payload: progress | { progress, total, message } }
+            if (msg.topic === 'mcp-tool-progress')
+            {
+                const update = typeof msg.payload === 'object' && msg.payload !== null ? msg.payload : { progress: msg.payload };
+                executionId = executionId || update.executionId;
+                if (!executionId)
+                {
+                    node.warn("No executionId found in msg.mcp; was the message produced by an MCP Tool In node?");
+                    return;
+                }
+
+                RED.events.emit('mcp-execution-progress', {
+                    executionId: executionId,
+                    progress: Number(update.progress),
+                    total: update.total !== undefined ? Number(update.total) : undefined,
+                    message: update.message
+                });
+                return;
+            }
+
+            // Replies built the pre-1.2 way: { topic: 'mcp-tool-response', payload: { executionId, result, error } }
+            if (!executionId && msg.payload && typeof msg.payload === 'object' && msg.payload.executionId)
+            {
+                executionId = msg.payload.executionId;
+                result = msg.payload.result;
+                error = msg.payload.error || null;
+            }
+
+            if (msg.error)
+            {
+                error = msg.error.message || String(msg.error);
+            }
+
+            if (!executionId)
+            {
+                node.warn("No executionId found in msg.mcp; was the message produced by an MCP Tool In node?");
+                return;
+            }
+
+            RED.events.emit('mcp-execution-reply', {
+                executionId: executionId,
+                result: result,
+                mimeType: msg.mimeType,
+                error: error
+            });
+        });
+    }
+
+    // Register the nodes
+    RED.nodes.registerType("mcp-tool-in", MCPToolInNode);
+    RED.nodes.registerType("mcp-tool-out", MCPToolOutNode);
+};
@@ -11,8 +11,25 @@ module.exports = function (RED)
         node.toolName = config.toolName || "";
         node.toolDescription = config.toolDescription || "";
         node.toolSchema = config.toolSchema || "{}";
+        node.outputSchema = config.outputSchema || "";
         node.autoRegister = config.autoRegister !== false;
 
+        // Ids of the flow servers serving this tool; empty means every flow server
+        node.servers = Array.isArray(config.servers) ? config.servers : [];
+
+        // OAuth scopes a caller's token must grant to call this tool
+        node.requiredScopes = (config.requiredScopes || "").split(/[\s,]+/).filter(scope => scope);
+
+        // Execution timeout in ms; 0 uses the flow server default
+        node.timeout = parseInt(config.timeout, 10) || 0;
+
+        // Per-server limits on running and queued calls; 0 leaves it to the flow server limits
+        node.maxConcurrency = parseInt(config.maxConcurrency, 10) || 0;
+        node.maxQueue = parseInt(config.maxQueue, 10) || 0;
+
+        // Calls per minute allowed for each caller; 0 for no tool-specific limit
+        node.rateLimit = parseInt(config.rateLimit, 10) || 0;
+
         // Runtime state
         node.isRegistered = false;
 
@@ -34,6 +51,25 @@ module.exports = function (RED)
             };
         }
 
+        // Parse the optional output schema; tools without one return unstructured results
+        node.parseOutputSchema = function (text)
+        {
+            if (!text || !String(text).trim())
+            {
+                return null;
+            }
+            return typeof text === 'object' ? text : JSON.parse(text);
+        };
+
+        let parsedOutputSchema = null;
+        try
+        {
+            parsedOutputSchema = node.parseOutputSchema(node.outputSchema);
+        } catch (error)
+        {
+            node.warn(`Invalid output schema JSON: ${error.message}`);
+        }
+
         // Register tool function
         node.registerTool = function ()
         {
@@ -53,6 +89,13 @@ module.exports = function (RED)
                 name: node.toolName,
                 description: node.toolDescription || `Tool: ${node.toolName}`,
                 inputSchema: parsedSchema,
+                outputSchema: parsedOutputSchema,
+                servers: node.servers,
+                requiredScopes: node.requiredScopes,
+                timeout: node.timeout,
+                maxConcurrency: node.maxConcurrency,
+                maxQueue: node.maxQueue,
+                rateLimit: node.rateLimit,
                 registeredBy: node.id,
                 registrationTime: new Date()
             };
@@ -61,7 +104,11 @@ module.exports = function (RED)
             RED.events.emit('mcp-tool-register', toolDefinition);
 
             node.isRegistered = true;
-            node.status({ fill: "green", shape: "dot", text: "registered" });
+            node.status({
+                fill: "green",
+                shape: "dot",
+                text: node.servers.length > 0 ? `registered (${node.servers.length} server${node.servers.length > 1 ? "s" : ""})` : "registered"
+            });
 
             node.log(`Tool "${node.toolName}" registered successfully`);
 
@@ -71,7 +118,9 @@ module.exports = function (RED)
                 payload: {
                     toolName: node.toolName,
                     description: node.toolDescription,
-                    schema: parsedSchema
+                    schema: parsedSchema,
+                    outputSchema: parsedOutputSchema,
+                    servers: node.servers
                 }
             });
         };
@@ -86,7 +135,7 @@ module.exports = function (RED)
             }
 
             // Emit unregistration event
-            RED.events.emit('mcp-tool-unregister', node.toolName);
+            RED.events.emit('mcp-tool-unregister', { name: node.toolName, registeredBy: node.id });
 
             node.isRegistered = false;
             node.status({ fill: "grey", shape: "ring", text: "unregistered" });
@@ -142,6 +191,28 @@ module.exports = function (RED)
                             node.warn(`Invalid schema in update: ${error.message}`);
                         }
                     }
+                    if (msg.payload.outputSchema !== undefined)
+                    {
+                        try
+                        {
+                            parsedOutputSchema = node.parseOutputSchema(msg.payload.outputSchema);
+                            node.outputSchema = msg.payload.outputSchema;
+                        } catch (error)
+                        {
+                            node.warn(`Invalid output schema in update: ${error.message}`);
+                        }
+                    }
+                    if (Array.isArray(msg.payload.servers)) node.servers = msg.payload.servers;
+                    if (msg.payload.timeout !== undefined) node.timeout = parseInt(msg.payload.timeout, 10) || 0;
+                    if (msg.payload.maxConcurrency !== undefined) node.maxConcurrency = parseInt(msg.payload.maxConcurrency, 10) || 0;
+                    if (msg.payload.maxQueue !== undefined) node.maxQueue = parseInt(msg.payload.maxQueue, 10) || 0;
+                    if (msg.payload.rateLimit !== undefined) node.rateLimit = parseInt(msg.payload.rateLimit, 10) || 0;
+                    if (msg.payload.requiredScopes !== undefined)
+                    {
+                        node.requiredScopes = Array.isArray(msg.payload.requiredScopes)
+                            ? msg.payload.requiredScopes
+                            : String(msg.payload.requiredScopes).split(/[\s,]+/).filter(scope => scope);
+                    }
                     node.updateRegistration();
                     break;
 
@@ -150,7 +221,14 @@ module.exports = function (RED)
                         toolName: node.toolName,
                         isRegistered: node.isRegistered,
                         description: node.toolDescription,
-                        schema: parsedSchema
+                        schema: parsedSchema,
+                        outputSchema: parsedOutputSchema,
+                        servers: node.servers,
+                        requiredScopes: node.requiredScopes,
+                        timeout: node.timeout,
+                        maxConcurrency: node.maxConcurrency,
+                        maxQueue: node.maxQueue,
+                        rateLimit: node.rateLimit
                     };
                     node.send(msg);
                     break;
@@ -3,6 +3,9 @@ module.exports = function (RED)
     "use strict";
 
     const axios = require('axios');
+    const { v4: uuidv4 } = require('uuid');
+    const { sendRequest } = require('./lib/streamable-http-client');
+    const { buildAuthHeaders, messageHeaders } = require('./lib/auth-headers');
 
     function MCPToolNode(config)
     {
@@ -15,6 +18,15 @@ module.exports = function (RED)
         node.toolParams = config.toolParams || "{}";
         node.timeout = config.timeout || 30000;
         node.outputMode = config.outputMode || "result";
+        node.authType = config.authType || "none";
+        node.apiKeyHeader = config.apiKeyHeader || "X-API-Key";
+
+        // Calls go over the session of a shared MCP Connection when one is configured
+        node.sharedConnection = config.connection ? RED.nodes.getNode(config.connection) : null;
+        if (node.sharedConnection)
+        {
+            node.sharedConnection.register(node);
+        }
 
         // Set initial status
         node.status({ fill: "grey", shape: "ring", text: "ready" });
@@ -29,22 +41,57 @@ module.exports = function (RED)
             node.warn(`Invalid tool parameters JSON: ${error.message}`);
         }
 
-        // Tool invocation function
-        node.invokeTool = function (method, params, callback)
+        // Headers for a message that overrides the configured ones
+        node.headersFor = function (msg)
+        {
+            return messageHeaders(node, node.credentials, msg);
+        };
+
+        // Tool invocation function; onProgress receives the params of each notifications/progress.
+        // options.headers replace the configured headers for this call; a shared session keeps its own.
+        node.invokeTool = function (method, params, callback, onProgress, options = {})
         {
             node.status({ fill: "yellow", shape: "ring", text: "calling..." });
 
+            // Unique across every node sharing a connection
+            const requestId = uuidv4();
             const request = {
                 jsonrpc: "2.0",
-                id: Date.now(),
+                id: requestId,
                 method: method,
-                params: params
+                params: Object.assign({}, params, { _meta: { progressToken: requestId } })
             };
 
-            axios.post(`${node.serverUrl}/mcp`, request, {
-                timeout: node.timeout,
-                headers: { 'Content-Type': 'application/json' }
-            })
+            const onNotification = notification =>
+            {
+                if (notification.method === 'notifications/progress' && notification.params &&
+                    notification.params.progressToken === requestId)
+                {
+                    const progress = notification.params;
+                    node.status({
+                        fill: "yellow",
+                        shape: "ring",
+                        text: progress.total ? `${progress.progress}/${progress.total}` : `progress ${progress.progress}`
+                    });
+                    if (onProgress) onProgress(progress);
+                }
+            };
+
+            if (node.sharedConnection && options.headers)
+            {
+                node.warn("msg.headers and msg.authToken do not apply to calls over a shared connection");
+            }
+
+            const call = node.sharedConnection
+                ? node.sharedConnection.request(request, { timeout: node.timeout, onNotification: onNotification })
+                : sendRequest(`${node.serverUrl}/mcp`, request, {
+                    timeout: node.timeout,
+                    headers: Object.assign({ 'Accept': 'application/json, text/event-stream' },
+                        options.headers || buildAuthHeaders(node, node.credentials)),
+                    onNotification: onNotification
+                });
+
+            call
                 .then(response =>
                 {
                     node.status({ fill: "green", shape: "dot", text: "success" });
@@ -55,7 +102,7 @@ module.exports = function (RED)
                         node.status({ fill: "grey", shape: "ring", text: "ready" });
                     }, 2000);
 
-                    callback(null, response.data);
+                    callback(null, response);
                 })
                 .catch(error =>
                 {
@@ -151,24 +198,63 @@ module.exports = function (RED)
 
                 msg.topic = "result";
                 node.send(msg);
-            });
+            }, progress =>
+            {
+                // Progress goes out as separate messages ahead of the result
+                const progressMsg = RED.util.cloneMessage(msg);
+                progressMsg.topic = "progress";
+                progressMsg.payload = {
+                    progress: progress.progress,
+                    total: progress.total,
+                    message: progress.message
+                };
+                node.send(progressMsg);
+            }, { headers: node.headersFor(msg) });
+        });
+
+        // Cleanup on node close
+        node.on('close', function (done)
+        {
+            if (node.sharedConnection)
+            {
+                node.sharedConnection.deregister(node, done);
+                return;
+            }
+            done();
         });
     }
 
     // Register the node
-    RED.nodes.registerType("mcp-tool", MCPToolNode);
+    RED.nodes.registerType("mcp-tool", MCPToolNode, {
+        credentials: {
+            authToken: { type: "password" },
+            username: { type: "text" },
+            password: { type: "password" },
+            headers: { type: "password" }
+        }
+    });
 
-    // Get available tools from server
-    RED.httpAdmin.get("/mcp-tools/:serverUrl", function (req, res)
+    // Get available tools from server; ?node=<id> applies the headers of that deployed MCP Tool or MCP Client node
+    RED.httpAdmin.get("/mcp-tools/:serverUrl", RED.auth.needsPermission('mcp-tool.read'), function (req, res)
     {
-        const serverUrl = decodeURIComponent(req.params.serverUrl);
+        const requestedUrl = decodeURIComponent(req.params.serverUrl);
+        const node = req.query.node ? RED.nodes.getNode(req.query.node) : null;
+        const source = node && (node.type === "mcp-tool" || node.type === "mcp-client") ? node : null;
 
         // Validate the server URL
-        if (!serverUrl || !serverUrl.startsWith('http'))
+        if (!requestedUrl || !requestedUrl.startsWith('http'))
         {
             return res.status(400).json({ error: "Invalid server URL" });
         }
 
+        // A node's credentials only ever go to the server it is deployed with
+        if (source && requestedUrl.replace(/\/+$/, '') !== source.serverUrl.replace(/\/+$/, ''))
+        {
+            return res.status(400).json({ error: "Server URL differs from the deployed node; deploy the change to load tools with its credentials" });
+        }
+        const serverUrl = source ? source.serverUrl : requestedUrl;
+        const authHeaders = source ? buildAuthHeaders(source, source.credentials) : {};
+
         const request = {
             jsonrpc: "2.0",
             id: Date.now(),
@@ -180,10 +266,10 @@ module.exports = function (RED)
 
         axios.post(`${serverUrl}/mcp`, request, {
             timeout: 10000,
-            headers: {
+            headers: Object.assign({}, authHeaders, {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json'
-            }
+            })
         })
             .then(response =>
             {